@@ -0,0 +1,129 @@
+const { query } = require('./database');
+
+// Everything the audit log records, with the table its rows are read from (by id, unless the
+// table has another key). Columns that hold credentials are left out of the snapshots.
+const AUDITED_ENTITIES = {
+    category: { table: 'categories' },
+    menu_item: { table: 'menu_items' },
+    menu_package: { table: 'menu_packages' },
+    gallery_image: { table: 'gallery_images' },
+    user: { table: 'users', omit: ['password_hash', 'totp_secret', 'totp_last_step'] },
+    user_invite: { table: 'user_invites', omit: ['token_hash'] },
+    booking: { table: 'bookings', omit: ['portal_token'] },
+    quote: { table: 'quotes', omit: ['token'] },
+    change_request: { table: 'booking_change_requests' },
+    schedule_exception: { table: 'schedule_exceptions' },
+    working_hours: { table: 'working_hours', key: 'weekday' },
+    contact: { table: 'contacts' },
+    contact_reply: { table: 'contact_replies' },
+    email: { table: 'email_outbox', omit: ['html'] },
+    blog_post: { table: 'blog_posts' },
+    blog_category: { table: 'blog_categories' }
+};
+
+const AUDIT_ENTITY_TYPES = Object.keys(AUDITED_ENTITIES);
+
+// Actions named after the HTTP method unless the route says otherwise (e.g. 'send', 'approve')
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+async function loadEntity(entityType, id) {
+    const { table, key = 'id', omit = [] } = AUDITED_ENTITIES[entityType];
+    const result = await query(`SELECT * FROM ${table} WHERE ${key} = $1`, [id]);
+    if (result.rows.length === 0) return null;
+
+    const row = { ...result.rows[0] };
+    omit.forEach(column => delete row[column]);
+    return row;
+}
+
+async function recordAudit({ user, action, entityType, entityId, before, after, ip }) {
+    await query(`
+        INSERT INTO audit_log (user_id, user_email, action, entity_type, entity_id, before_data, after_data, ip_address)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+        user ? user.id : null, user ? user.email : null, action, entityType,
+        entityId === undefined || entityId === null ? null : String(entityId),
+        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, ip || null
+    ]);
+}
+
+// Ids of the rows a create route made, taken from its response: a row, a list of rows, or
+// { <key>: row } as some routes send alongside a link or message
+function createdIds(body, key = 'id') {
+    const idOf = row => (row && row[key] !== undefined && row[key] !== null ? row[key] : null);
+    if (Array.isArray(body)) return body.map(idOf).filter(id => id !== null);
+    if (!body || typeof body !== 'object') return [];
+    if (idOf(body) !== null) return [idOf(body)];
+
+    const nested = Object.values(body).find(value => value && typeof value === 'object' && idOf(value) !== null);
+    return nested ? [idOf(nested)] : [];
+}
+
+// A snapshot without the columns every save touches, to tell whether a row really changed
+function withoutTimestamps(row) {
+    const { updated_at, ...rest } = row || {};
+    return JSON.stringify(rest);
+}
+
+// Express middleware recording a mutating admin route in the audit log, e.g.
+// auditLog('menu_item') or auditLog('quote', { action: 'send' }). The row named by :id is read
+// before the handler runs and again once it has responded; routes that create rows (no :id, or
+// idParam: null when :id names a parent) are logged from the ids in their response. Routes that
+// save several rows at once name them with requestIds(req), and only the rows that changed are
+// logged. Failed requests aren't logged, and a logging failure never fails the request.
+function auditLog(entityType, { action, idParam = 'id', requestIds } = {}) {
+    if (!AUDITED_ENTITIES[entityType]) {
+        throw new Error(`Unknown audit entity: ${entityType}`);
+    }
+    const { key = 'id' } = AUDITED_ENTITIES[entityType];
+
+    return async (req, res, next) => {
+        const entityId = idParam ? req.params[idParam] : undefined;
+        const namedIds = requestIds ? requestIds(req) : (entityId ? [entityId] : []);
+        const auditAction = action || METHOD_ACTIONS[req.method] || req.method.toLowerCase();
+        const ip = req.ip;
+        const before = new Map();
+
+        try {
+            for (const id of namedIds) {
+                before.set(String(id), await loadEntity(entityType, id));
+            }
+        } catch (err) {
+            console.error('Error reading audit snapshot:', err);
+        }
+
+        let responseBody;
+        const json = res.json.bind(res);
+        res.json = body => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on('finish', async () => {
+            if (res.statusCode >= 400) return;
+
+            try {
+                const user = req.session && req.session.user;
+                const ids = namedIds.length > 0 ? namedIds : createdIds(responseBody, key);
+
+                for (const id of ids) {
+                    const previous = before.get(String(id)) || null;
+                    const after = auditAction === 'delete' ? null : await loadEntity(entityType, id);
+                    if (requestIds && previous && withoutTimestamps(previous) === withoutTimestamps(after)) continue;
+                    await recordAudit({ user, action: auditAction, entityType, entityId: id, before: previous, after, ip });
+                }
+            } catch (err) {
+                console.error('Error writing audit log:', err);
+            }
+        });
+
+        next();
+    };
+}
+
+module.exports = {
+    AUDITED_ENTITIES,
+    AUDIT_ENTITY_TYPES,
+    recordAudit,
+    auditLog
+};
@@ -0,0 +1,204 @@
+const { query } = require('./database');
+
+// Capacity model for a single private chef. Configurable through environment variables.
+const MAX_EVENTS_PER_DAY = parseInt(process.env.BOOKING_MAX_EVENTS_PER_DAY, 10) || 1;
+const LEAD_TIME_DAYS = process.env.BOOKING_LEAD_TIME_DAYS !== undefined
+    ? parseInt(process.env.BOOKING_LEAD_TIME_DAYS, 10)
+    : 2;
+const BLACKOUT_DATES = (process.env.BOOKING_BLACKOUT_DATES || '')
+    .split(',')
+    .map(date => date.trim())
+    .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+
+// Bookings in these statuses take up a slot on their event date
+const CAPACITY_STATUSES = ['confirmed', 'completed'];
+
+// Schedule exception types that block a whole day; 'custom_hours' only changes the hours
+const SCHEDULE_EXCEPTION_TYPES = ['holiday', 'travel', 'unavailable', 'custom_hours'];
+const BLOCKING_EXCEPTION_TYPES = ['holiday', 'travel', 'unavailable'];
+
+const TIME_ZONE = 'Africa/Johannesburg';
+
+const UNAVAILABLE_MESSAGES = {
+    invalid_date: 'Please choose a valid event date.',
+    past: 'The selected date has already passed. Please choose a future date.',
+    lead_time: `We need at least ${LEAD_TIME_DAYS} days notice for bookings. Please choose a later date.`,
+    blackout: 'Chef Stefan is not available on the selected date. Please choose another date.',
+    closed: 'Chef Stefan does not take bookings on this day of the week. Please choose another date.',
+    fully_booked: 'The selected date is fully booked. Please choose another date.'
+};
+
+// Today's date (YYYY-MM-DD) in South Africa, regardless of the server time zone
+function today() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
+
+function isValidTime(time) {
+    return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+function earliestBookableDate() {
+    return addDays(today(), LEAD_TIME_DAYS);
+}
+
+// Count slot-taking bookings per event date in [fromDate, toDate]
+async function getBookedCounts(fromDate, toDate) {
+    const result = await query(`
+        SELECT LEFT(event_date, 10) as date, COUNT(*) as count
+        FROM bookings
+        WHERE status = ANY($1) AND LEFT(event_date, 10) BETWEEN $2 AND $3
+        GROUP BY LEFT(event_date, 10)
+    `, [CAPACITY_STATUSES, fromDate, toDate]);
+
+    const counts = {};
+    result.rows.forEach(row => {
+        counts[row.date] = parseInt(row.count);
+    });
+    return counts;
+}
+
+// Working hours and schedule exceptions overlapping [fromDate, toDate]
+async function getScheduleRules(fromDate, toDate) {
+    const [hours, exceptions] = await Promise.all([
+        query('SELECT * FROM working_hours ORDER BY weekday'),
+        query(`
+            SELECT 
+                id, type, start_time, end_time, reason,
+                to_char(start_date, 'YYYY-MM-DD') as start_date,
+                to_char(end_date, 'YYYY-MM-DD') as end_date
+            FROM schedule_exceptions
+            WHERE start_date <= $2 AND end_date >= $1
+            ORDER BY start_date
+        `, [fromDate, toDate])
+    ]);
+
+    const workingHours = {};
+    hours.rows.forEach(row => {
+        workingHours[row.weekday] = row;
+    });
+
+    return { workingHours, exceptions: exceptions.rows };
+}
+
+function describeDay(date, booked, rules) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const exceptions = rules.exceptions.filter(e => e.start_date <= date && e.end_date >= date);
+    const customHours = exceptions.find(e => e.type === 'custom_hours');
+    const regularHours = rules.workingHours[weekday];
+
+    let hours = null;
+    if (customHours) {
+        hours = { start: customHours.start_time, end: customHours.end_time };
+    } else if (!regularHours || regularHours.is_working) {
+        hours = regularHours ? { start: regularHours.start_time, end: regularHours.end_time } : null;
+    }
+
+    let reason = null;
+
+    if (date < today()) {
+        reason = 'past';
+    } else if (date < earliestBookableDate()) {
+        reason = 'lead_time';
+    } else if (BLACKOUT_DATES.includes(date) || exceptions.some(e => BLOCKING_EXCEPTION_TYPES.includes(e.type))) {
+        reason = 'blackout';
+    } else if (!customHours && regularHours && !regularHours.is_working) {
+        reason = 'closed';
+    } else if (booked >= MAX_EVENTS_PER_DAY) {
+        reason = 'fully_booked';
+    }
+
+    return {
+        date,
+        available: reason === null,
+        reason,
+        booked,
+        remaining: Math.max(0, MAX_EVENTS_PER_DAY - booked),
+        hours: reason === null ? hours : null
+    };
+}
+
+// Availability for every day of a month given as YYYY-MM
+async function getMonthAvailability(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+    const firstDay = `${month}-01`;
+    const lastDay = `${month}-${String(daysInMonth).padStart(2, '0')}`;
+
+    const [counts, rules] = await Promise.all([
+        getBookedCounts(firstDay, lastDay),
+        getScheduleRules(firstDay, lastDay)
+    ]);
+
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = `${month}-${String(day).padStart(2, '0')}`;
+        days.push(describeDay(date, counts[date] || 0, rules));
+    }
+
+    return {
+        month,
+        max_events_per_day: MAX_EVENTS_PER_DAY,
+        lead_time_days: LEAD_TIME_DAYS,
+        earliest_date: earliestBookableDate(),
+        days
+    };
+}
+
+// Availability of a single event date (and optionally time), with a customer-facing message when unavailable
+async function checkDateAvailability(date, time) {
+    if (!isValidDate(date)) {
+        return { date, available: false, reason: 'invalid_date', message: UNAVAILABLE_MESSAGES.invalid_date };
+    }
+
+    const [counts, rules] = await Promise.all([
+        getBookedCounts(date, date),
+        getScheduleRules(date, date)
+    ]);
+    const day = describeDay(date, counts[date] || 0, rules);
+
+    if (day.available && day.hours && isValidTime(time) &&
+        (time < day.hours.start || time > day.hours.end)) {
+        return {
+            ...day,
+            available: false,
+            reason: 'outside_hours',
+            message: `Chef Stefan is available between ${day.hours.start} and ${day.hours.end} on the selected date. Please choose another time.`
+        };
+    }
+
+    return {
+        ...day,
+        message: day.available ? null : UNAVAILABLE_MESSAGES[day.reason]
+    };
+}
+
+// Slots left on a date, ignoring lead time and blackouts (used when the admin confirms a booking)
+async function getRemainingCapacity(date) {
+    const counts = await getBookedCounts(date, date);
+    return Math.max(0, MAX_EVENTS_PER_DAY - (counts[date] || 0));
+}
+
+module.exports = {
+    MAX_EVENTS_PER_DAY,
+    LEAD_TIME_DAYS,
+    SCHEDULE_EXCEPTION_TYPES,
+    today,
+    addDays,
+    isValidDate,
+    isValidTime,
+    getMonthAvailability,
+    checkDateAvailability,
+    getRemainingCapacity
+};
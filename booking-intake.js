@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('./database');
+const { validate } = require('./validation');
+const { MAX_GUEST_COUNT } = require('./portal');
+const { MAX_DISH_QUANTITY } = require('./pricing');
+
+// The form a booking came in through
+const BOOKING_SOURCES = ['table', 'catering', 'cart'];
+
+// What POST /api/v1/bookings accepts, served as-is from GET /api/v1/bookings/schema.
+// Field names match the bookings table. Lengths follow sanitize.js and the table's columns.
+const BOOKING_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: '/api/v1/bookings/schema',
+    title: 'Booking request',
+    type: 'object',
+    additionalProperties: false,
+    required: ['source', 'customer_name', 'customer_email', 'customer_phone', 'event_date'],
+    properties: {
+        source: { title: 'Source', type: 'string', enum: BOOKING_SOURCES },
+        customer_name: { title: 'Name', type: 'string', maxLength: 100 },
+        customer_email: { title: 'Email', type: 'string', format: 'email', maxLength: 254 },
+        customer_phone: { title: 'Phone', type: 'string', maxLength: 30 },
+        event_date: { title: 'Event date', type: 'string', format: 'date' },
+        event_time: {
+            title: 'Event time',
+            type: 'string',
+            pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+            patternMessage: 'Event time must be a time in the format HH:MM'
+        },
+        guest_count: { title: 'Guest count', type: 'integer', minimum: 1, maximum: MAX_GUEST_COUNT },
+        event_type: { title: 'Event type', type: 'string', maxLength: 100 },
+        occasion: { title: 'Occasion', type: 'string', maxLength: 100 },
+        location: { title: 'Location', type: 'string', maxLength: 500 },
+        meal_type: { title: 'Meal type', type: 'string', maxLength: 100 },
+        food_style: { title: 'Food style', type: 'string', maxLength: 100 },
+        dietary_restrictions: { title: 'Dietary restrictions', type: 'string', maxLength: 1000 },
+        additional_info: { title: 'Additional information', type: 'string', maxLength: 2000 },
+        selected_dishes: {
+            title: 'Selected dishes',
+            description: 'Priced from the menu on the server - prices sent with the dishes are ignored. A set menu is a line with its package_id and the dishes chosen from its courses.',
+            type: 'array',
+            maxItems: 100,
+            items: {
+                title: 'Dish',
+                type: 'object',
+                required: ['quantity'],
+                properties: {
+                    id: { title: 'Menu item id', type: 'string', maxLength: 100 },
+                    dish: { title: 'Dish', type: 'string', maxLength: 200 },
+                    variant: { title: 'Portion', type: 'string', maxLength: 100 },
+                    package_id: { title: 'Set menu id', type: 'string', format: 'uuid' },
+                    choices: {
+                        title: 'Set menu choices',
+                        type: 'array',
+                        maxItems: 100,
+                        items: { title: 'Menu item id', type: 'string', maxLength: 100 }
+                    },
+                    quantity: { title: 'Quantity', type: 'integer', minimum: 1, maximum: MAX_DISH_QUANTITY }
+                }
+            }
+        }
+    },
+    // Table and cart bookings are for a set time and party size
+    allOf: [
+        {
+            if: { required: ['source'], properties: { source: { enum: ['table', 'cart'] } } },
+            then: { required: ['event_time', 'guest_count'] }
+        }
+    ]
+};
+
+function validateBooking(body) {
+    return validate(BOOKING_SCHEMA, body);
+}
+
+// Store a validated booking with its server-side pricing, reference and portal token
+async function insertBooking(booking, { selectedDishes, totalAmount, reference, portalToken }) {
+    const result = await query(
+        `INSERT INTO bookings (
+            id, source, customer_name, customer_email, customer_phone, event_type,
+            event_date, event_time, guest_count, location, meal_type, occasion,
+            dietary_restrictions, food_style, additional_info,
+            selected_dishes, total_amount, reference, portal_token, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW()) RETURNING *`,
+        [
+            uuidv4(), booking.source, booking.customer_name, booking.customer_email, booking.customer_phone,
+            booking.event_type || null, booking.event_date, booking.event_time || null, booking.guest_count || null,
+            booking.location || null, booking.meal_type || null, booking.occasion || null,
+            booking.dietary_restrictions || null, booking.food_style || null, booking.additional_info || null,
+            selectedDishes.length > 0 ? JSON.stringify(selectedDishes) : null, totalAmount, reference, portalToken
+        ]
+    );
+    return result.rows[0];
+}
+
+// The older per-form endpoints use their own field names. Each adapter maps its fields onto the
+// booking schema so those forms keep working; errors are reported back under the form's names.
+const LEGACY_FIELD_MAPS = {
+    table: {
+        name: 'customer_name',
+        email: 'customer_email',
+        phone: 'customer_phone',
+        date: 'event_date',
+        time: 'event_time',
+        people: 'guest_count',
+        occasion: 'occasion',
+        dietary_requirements: 'dietary_restrictions',
+        special_requests: 'additional_info'
+    },
+    catering: Object.fromEntries(
+        Object.keys(BOOKING_SCHEMA.properties).filter(field => field !== 'source').map(field => [field, field])
+    ),
+    cart: {
+        customer_name: 'customer_name',
+        customer_email: 'customer_email',
+        customer_phone: 'customer_phone',
+        event_date: 'event_date',
+        event_time: 'event_time',
+        guest_count: 'guest_count',
+        location: 'location',
+        dietary_restrictions: 'dietary_restrictions',
+        special_requests: 'additional_info',
+        selected_dishes: 'selected_dishes'
+    }
+};
+
+function fromLegacyBody(source, body) {
+    const booking = { source };
+    for (const [legacyField, field] of Object.entries(LEGACY_FIELD_MAPS[source])) {
+        if (body[legacyField] !== undefined) booking[field] = body[legacyField];
+    }
+    return booking;
+}
+
+function toLegacyField(source, field) {
+    const [name, ...rest] = field.split(/(?=[.[])/);
+    const legacyName = Object.keys(LEGACY_FIELD_MAPS[source]).find(key => LEGACY_FIELD_MAPS[source][key] === name);
+    return (legacyName || name) + rest.join('');
+}
+
+module.exports = {
+    BOOKING_SOURCES,
+    BOOKING_SCHEMA,
+    validateBooking,
+    insertBooking,
+    fromLegacyBody,
+    toLegacyField
+};
@@ -1,12 +1,28 @@
 const bcrypt = require('bcryptjs');
 const { query } = require('./database');
+const { passwordProblems } = require('./passwords');
 
+// The first owner account. There is no default password: set ADMIN_PASSWORD when running this,
+// e.g. ADMIN_PASSWORD='...' npm run create-admin. Further users are invited from the admin panel.
 async function createAdminUser() {
-    const email = 'info@privatechefstefan.co.za';
-    const password = '@dmin@123';
+    const email = (process.env.ADMIN_EMAIL || 'info@privatechefstefan.co.za').trim().toLowerCase();
+    const password = process.env.ADMIN_PASSWORD;
     const firstName = 'Admin';
     const lastName = 'User';
-    const role = 'admin';
+    const role = 'owner';
+
+    if (!password) {
+        console.error('Set ADMIN_PASSWORD to the password for the first owner account, e.g.:');
+        console.error("  ADMIN_PASSWORD='choose-a-strong-one' npm run create-admin");
+        process.exit(1);
+    }
+
+    // The same policy as every other password, so the owner can later change to something similar
+    const problems = passwordProblems(password, { email });
+    if (problems.length > 0) {
+        console.error(`ADMIN_PASSWORD is not accepted:\n  ${problems.join('\n  ')}`);
+        process.exit(1);
+    }
 
     try {
         // Check if admin user already exists
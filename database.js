@@ -67,6 +67,40 @@ const initializeDatabase = async () => {
             )
         `);
 
+        // Allergens the dish contains and the diets it suits (keys from dietary.js)
+        await query(`
+            ALTER TABLE menu_items
+            ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}'
+        `);
+
+        // How a dish is priced (fixed, per_person or per_platter), the least that can be ordered,
+        // how many a platter serves and portion variants ([{ name, price }]) - see menu-pricing.js
+        await query(`
+            ALTER TABLE menu_items
+            ADD COLUMN IF NOT EXISTS pricing_mode VARCHAR(20) NOT NULL DEFAULT 'fixed',
+            ADD COLUMN IF NOT EXISTS min_quantity INTEGER NOT NULL DEFAULT 1,
+            ADD COLUMN IF NOT EXISTS serves INTEGER,
+            ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '[]'
+        `);
+
+        // Set menus of menu items, priced per head (see menu-packages.js). Courses are
+        // [{ name, choose, items: [menu item ids] }]; choose is set when guests pick some of the dishes.
+        await query(`
+            CREATE TABLE IF NOT EXISTS menu_packages (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                name VARCHAR(255) NOT NULL,
+                description TEXT,
+                price_per_person DECIMAL(10,2) NOT NULL,
+                min_guests INTEGER NOT NULL DEFAULT 1,
+                courses JSONB NOT NULL DEFAULT '[]',
+                available BOOLEAN NOT NULL DEFAULT true,
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
         // Gallery images table - exact match to SQLite version  
         await query(`
             CREATE TABLE IF NOT EXISTS gallery_images (
@@ -90,7 +124,7 @@ const initializeDatabase = async () => {
                 last_name VARCHAR(100) NOT NULL,
                 email VARCHAR(255) UNIQUE NOT NULL,
                 password_hash VARCHAR(255) NOT NULL,
-                role VARCHAR(50) DEFAULT 'admin',
+                role VARCHAR(50) DEFAULT 'staff',
                 is_active BOOLEAN DEFAULT true,
                 last_login TIMESTAMP,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -98,6 +132,114 @@ const initializeDatabase = async () => {
             )
         `);
 
+        // Admin roles (see roles.js). Accounts from before roles existed were 'admin' or 'user': the
+        // longest-standing admin becomes the owner, other admins managers and users staff.
+        await query(`
+            ALTER TABLE users ALTER COLUMN role SET DEFAULT 'staff'
+        `);
+        await query(`
+            UPDATE users
+            SET role = CASE
+                WHEN id = (SELECT id FROM users WHERE role = 'admin' ORDER BY is_active DESC, created_at LIMIT 1)
+                     AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'owner') THEN 'owner'
+                WHEN role = 'admin' THEN 'manager'
+                ELSE 'staff'
+            END
+            WHERE role IS NULL OR role NOT IN ('owner', 'manager', 'editor', 'staff')
+        `);
+
+        // Every admin sign-in attempt (see login-security.js), used for rate limiting, lockouts,
+        // new device emails and the sign-in history on the User Management page
+        await query(`
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                email VARCHAR(255) NOT NULL,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                ip_address VARCHAR(45),
+                user_agent TEXT,
+                success BOOLEAN NOT NULL,
+                failure_reason VARCHAR(50),
+                new_device BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at DESC)
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC)
+        `);
+
+        await query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP
+        `);
+
+        // Forgotten password links (see passwords.js). Only a hash of the token is kept.
+        await query(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP,
+                requested_ip VARCHAR(45),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Two-factor sign-in (see two-factor.js). totp_last_step is the last code used, so it can't
+        // be used again; two_factor_required is set by the owner for accounts that must use it.
+        await query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)
+        `);
+
+        await query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP
+        `);
+
+        await query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT
+        `);
+
+        await query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_required BOOLEAN DEFAULT false
+        `);
+
+        // One-time recovery codes for a lost phone. Only a hash of each code is kept.
+        await query(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id)
+        `);
+
+        // Invitations to join the admin panel (see invites.js). Only a hash of the link's token is kept.
+        await query(`
+            CREATE TABLE IF NOT EXISTS user_invites (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                email VARCHAR(255) NOT NULL,
+                role VARCHAR(50) NOT NULL DEFAULT 'staff',
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                invited_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP NOT NULL,
+                accepted_at TIMESTAMP,
+                accepted_user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                revoked_at TIMESTAMP,
+                last_sent_at TIMESTAMP,
+                send_count INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
         // Bookings table - exact match to SQLite version
         await query(`
             CREATE TABLE IF NOT EXISTS bookings (
@@ -108,6 +250,7 @@ const initializeDatabase = async () => {
                 event_type VARCHAR(100),
                 event_date VARCHAR(50) NOT NULL,
                 event_time VARCHAR(50),
+                guest_count INTEGER,
                 location TEXT,
                 meal_type VARCHAR(100),
                 occasion VARCHAR(100),
@@ -117,11 +260,176 @@ const initializeDatabase = async () => {
                 selected_dishes TEXT,
                 total_amount DECIMAL(10,2),
                 status VARCHAR(50) DEFAULT 'pending',
+                reference VARCHAR(20) UNIQUE,
+                portal_token VARCHAR(64) UNIQUE,
+                source VARCHAR(20),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
 
+        // Customer-facing reference (CS-2026-0142) for bookings created before references existed
+        await query(`
+            ALTER TABLE bookings ADD COLUMN IF NOT EXISTS reference VARCHAR(20) UNIQUE
+        `);
+
+        // Magic link token for the customer booking portal
+        await query(`
+            ALTER TABLE bookings ADD COLUMN IF NOT EXISTS portal_token VARCHAR(64) UNIQUE
+        `);
+
+        // Guest count and the form a booking came in through (table, catering or cart)
+        await query(`
+            ALTER TABLE bookings ADD COLUMN IF NOT EXISTS guest_count INTEGER
+        `);
+        await query(`
+            ALTER TABLE bookings ADD COLUMN IF NOT EXISTS source VARCHAR(20)
+        `);
+
+        // Older bookings kept the guest count as text: "4 guests" in occasion for cart bookings,
+        // "Table booking for 4 people" in additional_info for table bookings
+        await query(`
+            UPDATE bookings
+            SET guest_count = COALESCE(
+                SUBSTRING(occasion FROM '([0-9]{1,3}) +(guests|people)'),
+                SUBSTRING(additional_info FROM '([0-9]{1,3}) +(guests|people)')
+            )::INTEGER
+            WHERE guest_count IS NULL
+              AND (occasion ~ '[0-9]{1,3} +(guests|people)' OR additional_info ~ '[0-9]{1,3} +(guests|people)')
+        `);
+        await query(`
+            UPDATE bookings
+            SET source = CASE
+                WHEN event_type = 'Cart Booking' THEN 'cart'
+                WHEN event_type IS NULL THEN 'table'
+                ELSE 'catering'
+            END
+            WHERE source IS NULL
+        `);
+
+        // Per-year counter behind the booking references
+        await query(`
+            CREATE TABLE IF NOT EXISTS booking_reference_counters (
+                year INTEGER PRIMARY KEY,
+                last_number INTEGER NOT NULL DEFAULT 0
+            )
+        `);
+
+        // And behind the contact message references, which are numbered separately
+        await query(`
+            CREATE TABLE IF NOT EXISTS contact_reference_counters (
+                year INTEGER PRIMARY KEY,
+                last_number INTEGER NOT NULL DEFAULT 0
+            )
+        `);
+
+        // Booking status history - one row per status transition
+        await query(`
+            CREATE TABLE IF NOT EXISTS booking_status_history (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                booking_id VARCHAR(255) NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+                from_status VARCHAR(50),
+                to_status VARCHAR(50) NOT NULL,
+                changed_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                changed_by_email VARCHAR(255),
+                note TEXT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking ON booking_status_history(booking_id, created_at)
+        `).catch(() => {});
+
+        // Change and cancellation requests from the customer portal, approved or declined by an admin
+        await query(`
+            CREATE TABLE IF NOT EXISTS booking_change_requests (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                booking_id VARCHAR(255) NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL, -- 'change', 'cancel'
+                status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'declined'
+                requested_event_date VARCHAR(50),
+                requested_event_time VARCHAR(50),
+                requested_guest_count INTEGER,
+                requested_dishes TEXT,
+                requested_total DECIMAL(10,2),
+                message TEXT,
+                admin_note TEXT,
+                reviewed_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                reviewed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_booking_change_requests_booking ON booking_change_requests(booking_id, created_at)
+        `).catch(() => {});
+
+        // Quotes - one row per version, sent to the client with a unique link
+        await query(`
+            CREATE TABLE IF NOT EXISTS quotes (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                booking_id VARCHAR(255) NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+                version INTEGER NOT NULL,
+                token VARCHAR(64) UNIQUE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'draft', -- 'draft', 'sent', 'accepted', 'superseded'
+                line_items JSONB NOT NULL DEFAULT '[]',
+                subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+                vat_rate DECIMAL(5,4) NOT NULL DEFAULT 0.15,
+                vat_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                total DECIMAL(10,2) NOT NULL DEFAULT 0,
+                deposit_percentage DECIMAL(5,2) NOT NULL DEFAULT 50,
+                deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                valid_until DATE NOT NULL,
+                notes TEXT,
+                created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                sent_at TIMESTAMP,
+                accepted_at TIMESTAMP,
+                accepted_by_name VARCHAR(255),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (booking_id, version)
+            )
+        `);
+
+        // Schedule exceptions - holidays, travel days and one-off custom hours
+        await query(`
+            CREATE TABLE IF NOT EXISTS schedule_exceptions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                type VARCHAR(20) NOT NULL DEFAULT 'holiday', -- 'holiday', 'travel', 'unavailable', 'custom_hours'
+                start_time VARCHAR(5), -- custom_hours only, HH:MM
+                end_time VARCHAR(5),
+                reason TEXT,
+                created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                CHECK (end_date >= start_date)
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_dates ON schedule_exceptions(start_date, end_date)
+        `).catch(() => {});
+
+        // Regular working hours per weekday (0 = Sunday)
+        await query(`
+            CREATE TABLE IF NOT EXISTS working_hours (
+                weekday INTEGER PRIMARY KEY CHECK (weekday BETWEEN 0 AND 6),
+                is_working BOOLEAN DEFAULT true,
+                start_time VARCHAR(5) DEFAULT '07:00',
+                end_time VARCHAR(5) DEFAULT '22:00',
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            INSERT INTO working_hours (weekday) 
+            VALUES (0), (1), (2), (3), (4), (5), (6)
+            ON CONFLICT (weekday) DO NOTHING
+        `);
+
         // Sessions table for connect-pg-simple
         await query(`
             CREATE TABLE IF NOT EXISTS sessions (
@@ -143,10 +451,72 @@ const initializeDatabase = async () => {
                 email VARCHAR(255) NOT NULL,
                 subject VARCHAR(255) NOT NULL,
                 message TEXT NOT NULL,
-                created_at TIMESTAMP DEFAULT NOW()
+                reference VARCHAR(20) UNIQUE,
+                read_at TIMESTAMP,
+                assigned_to VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                archived_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
             )
         `).catch(() => {}); // Ignore if exists
 
+        await query(`
+            ALTER TABLE contacts ADD COLUMN IF NOT EXISTS reference VARCHAR(20) UNIQUE
+        `);
+
+        // Inbox state for contact messages
+        await query(`
+            ALTER TABLE contacts
+            ADD COLUMN IF NOT EXISTS read_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+            ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()
+        `);
+
+        // Replies sent to contact messages from the admin inbox
+        await query(`
+            CREATE TABLE IF NOT EXISTS contact_replies (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                message TEXT NOT NULL,
+                email_outbox_id UUID,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_contact_replies_contact ON contact_replies(contact_id, created_at)
+        `).catch(() => {});
+
+        // Outgoing emails, sent by the outbox worker so an SMTP outage never loses a booking
+        await query(`
+            CREATE TABLE IF NOT EXISTS email_outbox (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                template VARCHAR(100),
+                reference VARCHAR(20),
+                from_address VARCHAR(255),
+                to_address TEXT NOT NULL,
+                reply_to VARCHAR(255),
+                message_id VARCHAR(255),
+                in_reply_to VARCHAR(255),
+                subject VARCHAR(500) NOT NULL,
+                html TEXT,
+                text_body TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'failed'
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                next_attempt_at TIMESTAMP DEFAULT NOW(),
+                sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)
+        `).catch(() => {});
+
         // Blog categories table
         await query(`
             CREATE TABLE IF NOT EXISTS blog_categories (
@@ -201,6 +571,31 @@ const initializeDatabase = async () => {
             )
         `).catch(() => {}); // Ignore if exists
 
+        // Who changed what in the admin panel (see audit.js). Snapshots are the row before and
+        // after the change; user_email is kept so entries survive the user being deleted.
+        await query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                user_email VARCHAR(255),
+                action VARCHAR(50) NOT NULL,
+                entity_type VARCHAR(50) NOT NULL,
+                entity_id VARCHAR(255),
+                before_data JSONB,
+                after_data JSONB,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC)
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)
+        `);
+
         // Create indexes for better performance
         await query(`
             CREATE INDEX IF NOT EXISTS idx_blog_posts_status ON blog_posts(status)
@@ -0,0 +1,119 @@
+// Allergen and dietary labels for menu items, and checking a customer's dietary restrictions
+// against the dishes they picked. Restrictions are typed in freely ("vegan, nut allergy"), so they
+// are read by keyword; a dish is only flagged going by the labels it has been given.
+//
+// This file is also sent to the browser (see /assets/js/dietary.js in server.js) for the menu and
+// cart pages - keep it free of require() calls.
+
+// The 14 major allergens that have to be declared
+const ALLERGENS = {
+    celery: 'Celery',
+    gluten: 'Gluten',
+    crustaceans: 'Crustaceans',
+    eggs: 'Eggs',
+    fish: 'Fish',
+    lupin: 'Lupin',
+    milk: 'Milk',
+    molluscs: 'Molluscs',
+    mustard: 'Mustard',
+    nuts: 'Tree nuts',
+    peanuts: 'Peanuts',
+    sesame: 'Sesame',
+    soya: 'Soya',
+    sulphites: 'Sulphites'
+};
+
+// What a dish suits. "Free from" labels can't be given to a dish that has the allergen.
+const DIETARY_TAGS = {
+    vegetarian: { label: 'Vegetarian', excludes: ['fish', 'crustaceans', 'molluscs'] },
+    vegan: { label: 'Vegan', excludes: ['milk', 'eggs', 'fish', 'crustaceans', 'molluscs'] },
+    pescatarian: { label: 'Pescatarian', excludes: [] },
+    halaal: { label: 'Halaal', excludes: [] },
+    kosher: { label: 'Kosher', excludes: [] },
+    gluten_free: { label: 'Gluten-free', excludes: ['gluten'] },
+    dairy_free: { label: 'Dairy-free', excludes: ['milk'] },
+    nut_free: { label: 'Nut-free', excludes: ['nuts', 'peanuts'] }
+};
+
+// Restrictions recognised in what the customer typed. A dish suits one if it has any of the
+// tags (when tags are given) and none of the allergens to avoid.
+const DIETARY_NEEDS = [
+    { label: 'vegan', pattern: /\bvegan/i, tags: ['vegan'], avoid: DIETARY_TAGS.vegan.excludes },
+    { label: 'vegetarian', pattern: /vegetarian/i, tags: ['vegetarian', 'vegan'], avoid: DIETARY_TAGS.vegetarian.excludes },
+    { label: 'pescatarian', pattern: /pesc[ae]tarian/i, tags: ['pescatarian', 'vegetarian', 'vegan'], avoid: [] },
+    { label: 'halaal', pattern: /\bhala+l/i, tags: ['halaal'], avoid: [] },
+    { label: 'kosher', pattern: /kosher/i, tags: ['kosher'], avoid: [] },
+    { label: 'gluten-free', pattern: /gluten|coeliac|celiac/i, avoid: ['gluten'] },
+    { label: 'dairy-free', pattern: /dairy|lactose|\bmilk/i, avoid: ['milk'] },
+    { label: 'nut allergy', pattern: /\b(tree[ -]?)?nuts?\b/i, avoid: ['nuts', 'peanuts'] },
+    { label: 'peanut allergy', pattern: /peanut/i, avoid: ['peanuts'] },
+    { label: 'shellfish allergy', pattern: /shellfish|crustacean|prawn|shrimp|crab|lobster/i, avoid: ['crustaceans', 'molluscs'] },
+    { label: 'mollusc allergy', pattern: /mollus[ck]|mussel|oyster|squid|calamari/i, avoid: ['molluscs'] },
+    { label: 'fish allergy', pattern: /\bfish\b/i, avoid: ['fish'] },
+    { label: 'egg allergy', pattern: /\beggs?\b/i, avoid: ['eggs'] },
+    { label: 'soya allergy', pattern: /\bsoy/i, avoid: ['soya'] },
+    { label: 'sesame allergy', pattern: /sesame/i, avoid: ['sesame'] },
+    { label: 'mustard allergy', pattern: /mustard/i, avoid: ['mustard'] },
+    { label: 'celery allergy', pattern: /celery|celeriac/i, avoid: ['celery'] },
+    { label: 'lupin allergy', pattern: /lupin/i, avoid: ['lupin'] },
+    { label: 'sulphite allergy', pattern: /sul(ph|f)ite/i, avoid: ['sulphites'] }
+];
+
+function joinWords(words) {
+    if (words.length < 2) return words.join('');
+    return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
+
+// Labels that can't both be true of a dish, e.g. "Vegan" with Milk. Returns messages, empty when fine.
+function labelProblems(allergens = [], dietaryTags = []) {
+    const problems = [];
+    for (const tag of dietaryTags) {
+        const clashes = (DIETARY_TAGS[tag] ? DIETARY_TAGS[tag].excludes : []).filter(allergen => allergens.includes(allergen));
+        if (clashes.length > 0) {
+            problems.push(`A ${DIETARY_TAGS[tag].label.toLowerCase()} dish can't contain ${joinWords(clashes.map(allergen => ALLERGENS[allergen].toLowerCase()))}`);
+        }
+    }
+    return problems;
+}
+
+function dietaryNeeds(restrictions) {
+    if (!restrictions) return [];
+    const text = Array.isArray(restrictions) ? restrictions.join(', ') : String(restrictions);
+    return DIETARY_NEEDS.filter(need => need.pattern.test(text));
+}
+
+// Dishes ({ id, dish, allergens, dietary_tags }) that don't suit the restrictions, one entry per
+// dish with the reasons and a message to show the customer
+function dietaryConflicts(restrictions, dishes) {
+    const needs = dietaryNeeds(restrictions);
+    if (needs.length === 0) return [];
+
+    const conflicts = [];
+    for (const dish of dishes) {
+        const allergens = dish.allergens || [];
+        const tags = dish.dietary_tags || [];
+        const reasons = [];
+
+        for (const need of needs) {
+            const contains = need.avoid.filter(allergen => allergens.includes(allergen));
+            if (contains.length > 0) {
+                reasons.push(`contains ${joinWords(contains.map(allergen => ALLERGENS[allergen].toLowerCase()))} (${need.label})`);
+            } else if (need.tags && !need.tags.some(tag => tags.includes(tag))) {
+                reasons.push(`isn't marked ${need.label}`);
+            }
+        }
+
+        if (reasons.length > 0) {
+            conflicts.push({ id: dish.id, dish: dish.dish, reasons, message: `${dish.dish} ${joinWords([...new Set(reasons)])}` });
+        }
+    }
+    return conflicts;
+}
+
+module.exports = {
+    ALLERGENS,
+    DIETARY_TAGS,
+    labelProblems,
+    dietaryNeeds,
+    dietaryConflicts
+};
@@ -0,0 +1,132 @@
+const { query } = require('./database');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Attempts before an email is marked failed and left for an admin to resend
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6;
+const POLL_INTERVAL_SECONDS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS, 10) || 30;
+const BATCH_SIZE = 10;
+
+// First retry after a minute, then 2, 4, 8... capped at six hours
+const BASE_RETRY_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// A send that hasn't finished in this long was cut off (e.g. by a restart) and is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+function retryDelaySeconds(attempts) {
+    return Math.min(BASE_RETRY_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+}
+
+async function deliver(transport, email) {
+    try {
+        await transport.sendMail({
+            from: email.from_address,
+            to: email.to_address,
+            replyTo: email.reply_to || undefined,
+            messageId: email.message_id || undefined,
+            inReplyTo: email.in_reply_to || undefined,
+            references: email.in_reply_to || undefined,
+            subject: email.subject,
+            html: email.html,
+            text: email.text_body
+        });
+
+        await query(
+            "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL, updated_at = NOW() WHERE id = $1",
+            [email.id]
+        );
+    } catch (err) {
+        const failed = email.attempts >= MAX_ATTEMPTS;
+        console.error(`Error sending email ${email.id} (attempt ${email.attempts} of ${MAX_ATTEMPTS}):`, err.message);
+
+        await query(`
+            UPDATE email_outbox
+            SET status = $2, last_error = $3, next_attempt_at = NOW() + ($4 * INTERVAL '1 second'), updated_at = NOW()
+            WHERE id = $1
+        `, [email.id, failed ? 'failed' : 'pending', err.message, retryDelaySeconds(email.attempts)]);
+    }
+}
+
+let processing = false;
+let runAgain = false;
+
+// Send every email that is due. A call made while a run is in progress triggers one more run
+// afterwards, so a freshly queued email never waits for the next poll.
+async function processOutbox(transport) {
+    if (processing) {
+        runAgain = true;
+        return;
+    }
+    processing = true;
+
+    try {
+        do {
+            runAgain = false;
+
+            // Claiming rows as 'sending' keeps other server processes from sending them too
+            const due = await query(`
+                UPDATE email_outbox
+                SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+                WHERE id IN (
+                    SELECT id FROM email_outbox
+                    WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                       OR (status = 'sending' AND updated_at < NOW() - ($1 * INTERVAL '1 minute'))
+                    ORDER BY next_attempt_at
+                    LIMIT $2
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            `, [STALE_SENDING_MINUTES, BATCH_SIZE]);
+
+            for (const email of due.rows) {
+                await deliver(transport, email);
+            }
+
+            if (due.rows.length === BATCH_SIZE) runAgain = true;
+        } while (runAgain);
+    } catch (err) {
+        console.error('Error processing email outbox:', err);
+    } finally {
+        processing = false;
+    }
+}
+
+// Save an email to the outbox and start sending it in the background. If the outbox can't be
+// written to (database down) the email is sent straight away instead, so it is never dropped.
+async function queueEmail(transport, { template, reference, from, to, replyTo, messageId, inReplyTo, subject, html, text }) {
+    try {
+        const result = await query(`
+            INSERT INTO email_outbox (
+                template, reference, from_address, to_address, reply_to,
+                message_id, in_reply_to, subject, html, text_body
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id
+        `, [
+            template || null, reference || null, from || null, to, replyTo || null,
+            messageId || null, inReplyTo || null, subject, html || null, text || null
+        ]);
+
+        processOutbox(transport);
+        return result.rows[0];
+    } catch (err) {
+        console.error('Error queueing email, sending it directly instead:', err);
+        await transport.sendMail({ from, to, replyTo, messageId, inReplyTo, references: inReplyTo, subject, html, text });
+        return null;
+    }
+}
+
+function startOutboxWorker(transport) {
+    const timer = setInterval(() => processOutbox(transport), POLL_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    OUTBOX_STATUSES,
+    MAX_ATTEMPTS,
+    retryDelaySeconds,
+    queueEmail,
+    processOutbox,
+    startOutboxWorker
+};
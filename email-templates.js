@@ -0,0 +1,251 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates', 'email');
+const TIME_ZONE = 'Africa/Johannesburg';
+
+// Contact details shown in every email. Override them in .env rather than editing templates.
+const BUSINESS_DETAILS = {
+    name: process.env.BUSINESS_NAME || 'Private Chef Stefan',
+    email: process.env.BUSINESS_EMAIL || 'info@privatechefstefan.co.za',
+    phone: process.env.BUSINESS_PHONE || '+27 (0) 82 123 4567'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Templates use a small mustache-like syntax:
+//   {{name}} escaped value, {{{name}}} raw value, {{business.phone}} nested value
+//   {{#if name}}...{{else}}...{{/if}}, {{#unless name}}...{{/unless}}
+//   {{#each items}}...{{/each}} (item fields are in scope, {{.}} is the item itself)
+//   {{> partial}} includes partials/partial.html (or .txt)
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([^{}]+?)\s*\}\}/g;
+const BLOCK_TYPES = ['if', 'unless', 'each'];
+
+// A block tag on a line of its own shouldn't leave a blank line behind
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*(?:[#/][^{}]*|else)\s*\}\})[ \t]*\r?\n/gm;
+
+function parseTemplate(template, name = 'template') {
+    const source = template.replace(STANDALONE_TAG_PATTERN, '$1');
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const target = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.elseChildren : node.children;
+    };
+
+    let lastIndex = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(source))) {
+        if (match.index > lastIndex) {
+            target().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        if (match[1]) {
+            target().push({ type: 'raw', path: match[1] });
+            continue;
+        }
+
+        const tag = match[2];
+        if (tag.startsWith('#')) {
+            const [type, valuePath] = tag.slice(1).trim().split(/\s+/);
+            if (!BLOCK_TYPES.includes(type) || !valuePath) {
+                throw new Error(`Invalid tag {{${tag}}} in ${name}`);
+            }
+            const node = { type, path: valuePath, children: [], elseChildren: [], inElse: false };
+            target().push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            const node = stack[stack.length - 1];
+            if (node === root || node.inElse) {
+                throw new Error(`Unexpected {{else}} in ${name}`);
+            }
+            node.inElse = true;
+        } else if (tag.startsWith('/')) {
+            const node = stack.pop();
+            if (node === root || node.type !== tag.slice(1).trim()) {
+                throw new Error(`Unexpected {{${tag}}} in ${name}`);
+            }
+        } else if (tag.startsWith('>')) {
+            target().push({ type: 'partial', name: tag.slice(1).trim() });
+        } else {
+            target().push({ type: 'value', path: tag });
+        }
+    }
+
+    if (lastIndex < source.length) {
+        target().push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in ${name}`);
+    }
+
+    return root.children;
+}
+
+// Innermost scope that has the first key wins, so {{#each}} items can shadow outer values
+function lookup(scopes, valuePath) {
+    if (valuePath === '.' || valuePath === 'this') {
+        return scopes[scopes.length - 1];
+    }
+
+    const [first, ...rest] = valuePath.split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope !== null && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, first)) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[first]);
+        }
+    }
+    return undefined;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, options) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'value':
+            case 'raw': {
+                const value = lookup(scopes, node.path);
+                if (value === null || value === undefined) return '';
+                return node.type === 'value' ? options.escape(String(value)) : String(value);
+            }
+            case 'if':
+            case 'unless': {
+                const show = isTruthy(lookup(scopes, node.path)) === (node.type === 'if');
+                return renderNodes(show ? node.children : node.elseChildren, scopes, options);
+            }
+            case 'each': {
+                const items = lookup(scopes, node.path);
+                if (!Array.isArray(items) || items.length === 0) {
+                    return renderNodes(node.elseChildren, scopes, options);
+                }
+                return items.map(item => renderNodes(node.children, [...scopes, item], options)).join('');
+            }
+            case 'partial': {
+                const partial = options.partials[node.name];
+                if (!partial) {
+                    throw new Error(`Unknown email partial: ${node.name}`);
+                }
+                return renderNodes(partial, scopes, options);
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+function renderString(source, context, escape = value => value) {
+    return renderNodes(parseTemplate(source), [context], { escape, partials: {} });
+}
+
+// Templates are read on every send so wording changes apply without a restart
+async function readTemplate(file) {
+    return fs.readFile(path.join(TEMPLATES_DIR, file), 'utf8');
+}
+
+async function loadManifest() {
+    return JSON.parse(await readTemplate('templates.json'));
+}
+
+async function loadPartials(extension) {
+    const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+    const files = (await fs.readdir(partialsDir)).filter(file => path.extname(file) === `.${extension}`);
+    const partials = {};
+
+    for (const file of files) {
+        const source = await fs.readFile(path.join(partialsDir, file), 'utf8');
+        partials[path.basename(file, `.${extension}`)] = parseTemplate(source, file);
+    }
+    return partials;
+}
+
+async function renderFormat(name, extension, context, escape) {
+    const [layout, body, partials] = await Promise.all([
+        readTemplate(`layout.${extension}`),
+        readTemplate(`${name}.${extension}`),
+        loadPartials(extension)
+    ]);
+    const options = { escape, partials };
+
+    const content = renderNodes(parseTemplate(body, `${name}.${extension}`), [context], options);
+    return renderNodes(parseTemplate(layout, `layout.${extension}`), [{ ...context, body: content }], options);
+}
+
+// Trailing spaces and runs of blank lines left by optional sections
+function tidyText(text) {
+    return text
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
+
+async function getTemplateDefinition(name) {
+    const manifest = await loadManifest();
+    if (!Object.prototype.hasOwnProperty.call(manifest, name)) {
+        const error = new Error(`Unknown email template: ${name}`);
+        error.code = 'TEMPLATE_NOT_FOUND';
+        throw error;
+    }
+    return manifest[name];
+}
+
+// Render a template to { subject, html, text }
+async function renderEmail(name, data = {}) {
+    const definition = await getTemplateDefinition(name);
+    const context = {
+        ...data,
+        business: BUSINESS_DETAILS,
+        received_on: new Date().toLocaleString('en-ZA', { timeZone: TIME_ZONE })
+    };
+    context.heading = renderString(definition.heading || '', context);
+    context.subheading = renderString(definition.subheading || '', context);
+
+    const [html, text] = await Promise.all([
+        renderFormat(name, 'html', context, escapeHtml),
+        renderFormat(name, 'txt', context, value => value)
+    ]);
+
+    return {
+        subject: renderString(definition.subject, context).trim(),
+        html,
+        text: tidyText(text)
+    };
+}
+
+async function listEmailTemplates() {
+    const manifest = await loadManifest();
+    return Object.entries(manifest).map(([name, definition]) => ({
+        name,
+        description: definition.description || ''
+    }));
+}
+
+// Render a template with the sample data kept next to it in templates.json
+async function previewEmail(name) {
+    const definition = await getTemplateDefinition(name);
+    return renderEmail(name, definition.sample || {});
+}
+
+module.exports = {
+    BUSINESS_DETAILS,
+    escapeHtml,
+    renderEmail,
+    listEmailTemplates,
+    previewEmail
+};
@@ -0,0 +1,81 @@
+const { query } = require('./database');
+const { generateLinkToken, hashLinkToken } = require('./link-tokens');
+
+// Invitations to the admin panel. The owner picks the email and role; the invitee follows the
+// emailed link once to choose their own name and password.
+
+// Days an invitation link keeps working. Resending starts the time again with a new link.
+const INVITE_EXPIRY_DAYS = process.env.USER_INVITE_DAYS !== undefined
+    ? parseInt(process.env.USER_INVITE_DAYS, 10)
+    : 7;
+
+const INVITE_COLUMNS = `
+    i.id, i.email, i.role, i.invited_by, i.expires_at, i.accepted_at, i.revoked_at, i.last_sent_at,
+    i.send_count, i.created_at, i.expires_at <= NOW() as expired,
+    NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') as invited_by_name
+`;
+
+// Invitations that haven't been accepted or revoked, newest first. Expired ones are included
+// (with expired = true) so they can be resent.
+async function listOpenInvites() {
+    const result = await query(`
+        SELECT ${INVITE_COLUMNS}
+        FROM user_invites i
+        LEFT JOIN users u ON i.invited_by = u.id
+        WHERE i.accepted_at IS NULL AND i.revoked_at IS NULL
+        ORDER BY i.created_at DESC
+    `);
+    return result.rows;
+}
+
+async function findInvite(id) {
+    const result = await query(`
+        SELECT ${INVITE_COLUMNS}
+        FROM user_invites i
+        LEFT JOIN users u ON i.invited_by = u.id
+        WHERE i.id = $1
+    `, [id]);
+    return result.rows[0] || null;
+}
+
+// A link that can still be used, or null
+async function findInviteByToken(token) {
+    const result = await query(`
+        SELECT ${INVITE_COLUMNS}
+        FROM user_invites i
+        LEFT JOIN users u ON i.invited_by = u.id
+        WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+    `, [hashLinkToken(token)]);
+    return result.rows[0] || null;
+}
+
+async function createInvite({ email, role, invitedBy }) {
+    const token = generateLinkToken();
+    const result = await query(`
+        INSERT INTO user_invites (email, role, token_hash, invited_by, expires_at, last_sent_at, send_count)
+        VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), NOW(), 1)
+        RETURNING id
+    `, [email, role, hashLinkToken(token), invitedBy, INVITE_EXPIRY_DAYS]);
+    return { id: result.rows[0].id, token };
+}
+
+// A new link for the invitation, replacing any earlier one. Returns the token for the email.
+async function issueInviteToken(inviteId) {
+    const token = generateLinkToken();
+    await query(`
+        UPDATE user_invites
+        SET token_hash = $1, expires_at = NOW() + make_interval(days => $2), last_sent_at = NOW(),
+            send_count = send_count + 1
+        WHERE id = $3
+    `, [hashLinkToken(token), INVITE_EXPIRY_DAYS, inviteId]);
+    return token;
+}
+
+module.exports = {
+    INVITE_EXPIRY_DAYS,
+    listOpenInvites,
+    findInvite,
+    findInviteByToken,
+    createInvite,
+    issueInviteToken
+};
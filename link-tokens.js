@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Tokens for the one-time links emailed to people: password resets and invitations. The link
+// carries the token; only its hash is stored, so a database leak can't be used to follow a link.
+function generateLinkToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function hashLinkToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    generateLinkToken,
+    hashLinkToken
+};
@@ -0,0 +1,91 @@
+const { query } = require('./database');
+
+function numberSetting(name, fallback) {
+    return process.env[name] !== undefined ? parseInt(process.env[name], 10) : fallback;
+}
+
+// At most MAX_ACCOUNT_FAILURES failed sign-ins per account, and MAX_IP_FAILURES per IP address,
+// in any LOGIN_WINDOW_MINUTES. Past that the account (or address) is locked out until the oldest
+// of those failures leaves the window. Signing in successfully clears an account's failures.
+const LOGIN_WINDOW_MINUTES = numberSetting('LOGIN_WINDOW_MINUTES', 15);
+const MAX_ACCOUNT_FAILURES = numberSetting('LOGIN_MAX_ACCOUNT_FAILURES', 5);
+// Across all accounts, so one address can't work through a list of emails
+const MAX_IP_FAILURES = numberSetting('LOGIN_MAX_IP_FAILURES', 20);
+
+// invalid_code is a wrong two-factor code after the right password, and counts like a wrong password
+const LOGIN_FAILURE_REASONS = ['invalid_credentials', 'invalid_code', 'account_locked', 'ip_limited'];
+
+// Seconds until there are fewer than `limit` counted failures in the window, or 0 if there already
+// are. Attempts turned away by the limit itself aren't counted, so retrying doesn't extend the wait.
+async function retryAfter(column, value, limit, { sinceLastSuccess }) {
+    const result = await query(`
+        SELECT EXTRACT(EPOCH FROM (created_at + make_interval(mins => $3) - NOW())) as seconds_left
+        FROM login_attempts
+        WHERE ${column} = $1 AND success = false AND failure_reason IN ('invalid_credentials', 'invalid_code')
+          AND created_at > NOW() - make_interval(mins => $3)
+          ${sinceLastSuccess ? `AND created_at > COALESCE((
+              SELECT MAX(created_at) FROM login_attempts WHERE ${column} = $1 AND success = true
+          ), '-infinity')` : ''}
+        ORDER BY created_at DESC
+        OFFSET $2
+        LIMIT 1
+    `, [value, limit - 1, LOGIN_WINDOW_MINUTES]);
+
+    if (result.rows.length === 0) return 0;
+    return Math.max(1, Math.ceil(Number(result.rows[0].seconds_left)));
+}
+
+// Attempts are kept against the address as typed, in one case so 'Chef@' and 'chef@' count together
+function attemptEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Whether a sign-in may be tried at all. Returns null, or { reason, retryAfter } in seconds.
+// Checked by email rather than user, so locked and unknown addresses look the same.
+async function checkLoginAllowed(email, ip) {
+    const ipWait = ip ? await retryAfter('ip_address', ip, MAX_IP_FAILURES, { sinceLastSuccess: false }) : 0;
+    if (ipWait > 0) return { reason: 'ip_limited', retryAfter: ipWait };
+
+    const accountWait = await retryAfter('email', attemptEmail(email), MAX_ACCOUNT_FAILURES, { sinceLastSuccess: true });
+    if (accountWait > 0) return { reason: 'account_locked', retryAfter: accountWait };
+
+    return null;
+}
+
+async function recordLoginAttempt({ email, userId, ip, userAgent, success, failureReason, newDevice }) {
+    await query(`
+        INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, failure_reason, new_device)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [attemptEmail(email), userId || null, ip || null, userAgent || null, success, failureReason || null, Boolean(newDevice)]);
+}
+
+// A device is a browser (user agent) the user hasn't signed in from before. The very first
+// sign-in isn't a new device - there's nothing to compare it with.
+async function isNewDevice(userId, userAgent) {
+    const result = await query(`
+        SELECT COUNT(*) as sign_ins,
+               COUNT(*) FILTER (WHERE user_agent IS NOT DISTINCT FROM $2) as from_device
+        FROM login_attempts
+        WHERE user_id = $1 AND success = true
+    `, [userId, userAgent || null]);
+
+    const { sign_ins, from_device } = result.rows[0];
+    return Number(sign_ins) > 0 && Number(from_device) === 0;
+}
+
+// "in 15 minutes" / "in 1 minute"
+function describeWait(seconds) {
+    const minutes = Math.ceil(seconds / 60);
+    return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+    LOGIN_WINDOW_MINUTES,
+    MAX_ACCOUNT_FAILURES,
+    MAX_IP_FAILURES,
+    LOGIN_FAILURE_REASONS,
+    checkLoginAllowed,
+    recordLoginAttempt,
+    isNewDevice,
+    describeWait
+};
@@ -0,0 +1,136 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs-extra');
+const path = require('path');
+const { BUSINESS_DETAILS } = require('./email-templates');
+
+// MAIL_TRANSPORT picks where email goes:
+//   smtp   - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//   file   - .eml files written to MAIL_FILE_DIR, for working offline
+//   memory - kept in this process, for tests (see getSentMessages)
+// SMTP is the default; file and memory never deliver anything, so they have to be asked for.
+const MAIL_TRANSPORTS = ['smtp', 'file', 'memory'];
+const MAIL_DRIVER = process.env.MAIL_TRANSPORT || 'smtp';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail');
+
+// Address emails are sent from. Most SMTP providers only accept their own account here.
+const SENDER_ADDRESS = process.env.MAIL_FROM || process.env.SMTP_USER || BUSINESS_DETAILS.email;
+
+// Stable Message-ID for an email, so later emails can reply to it, e.g. messageIdFor('contact', id)
+function messageIdFor(...parts) {
+    const domain = SENDER_ADDRESS.split('@')[1] || 'localhost';
+    return `<${parts.join('.')}@${domain}>`;
+}
+
+// Messages sent through the memory driver, oldest first
+const MAX_MEMORY_MESSAGES = 500;
+const sentMessages = [];
+
+function createSmtpTransport() {
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port: process.env.SMTP_PORT || 587,
+        secure: false, // true for 465, false for other ports
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    });
+}
+
+// Builds the full message with nodemailer but hands it to `store` instead of a server
+function createStreamTransport(store) {
+    const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        async sendMail(message) {
+            const info = await stream.sendMail(message);
+            await store(info, message);
+            return info;
+        },
+        verify(callback) {
+            callback(null, true);
+        }
+    };
+}
+
+function createFileTransport() {
+    return createStreamTransport(async (info) => {
+        await fs.ensureDir(MAIL_FILE_DIR);
+        const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_');
+        const file = path.join(MAIL_FILE_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+        await fs.writeFile(file, info.message);
+        console.log(`Email to ${info.envelope.to.join(', ')} written to ${file}`);
+    });
+}
+
+function createMemoryTransport() {
+    return createStreamTransport(async (info, message) => {
+        sentMessages.push({
+            message_id: info.messageId,
+            from: info.envelope.from,
+            to: info.envelope.to,
+            reply_to: message.replyTo || null,
+            subject: message.subject,
+            html: message.html || null,
+            text: message.text || null,
+            raw: info.message.toString(),
+            sent_at: new Date().toISOString()
+        });
+        if (sentMessages.length > MAX_MEMORY_MESSAGES) sentMessages.shift();
+    });
+}
+
+function createMailTransport(driver = MAIL_DRIVER) {
+    switch (driver) {
+        case 'smtp':
+            return createSmtpTransport();
+        case 'file':
+            return createFileTransport();
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${driver}" - use one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+}
+
+// Only SMTP has a connection worth checking at startup. The others are called out, since no customer gets their email.
+function verifyMailTransport(transport, driver = MAIL_DRIVER) {
+    if (driver !== 'smtp') {
+        const destination = driver === 'file' ? `written to ${MAIL_FILE_DIR}` : 'kept in memory';
+        console.warn(`WARNING: MAIL_TRANSPORT=${driver} - emails are ${destination} and NOT delivered to anyone`);
+        return;
+    }
+    if (!process.env.SMTP_USER) {
+        console.warn('WARNING: SMTP_USER is not set - emails will fail until SMTP credentials are configured');
+    }
+
+    transport.verify((error) => {
+        if (error) {
+            console.log('Email configuration error:', error);
+        } else {
+            console.log('Email server is ready to send messages');
+        }
+    });
+}
+
+// Inspecting what the memory driver has sent. Optionally only messages to one address.
+function getSentMessages(to) {
+    if (!to) return [...sentMessages];
+    const address = to.toLowerCase();
+    return sentMessages.filter(message => message.to.some(recipient => recipient.toLowerCase() === address));
+}
+
+function clearSentMessages() {
+    sentMessages.length = 0;
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    MAIL_DRIVER,
+    SENDER_ADDRESS,
+    messageIdFor,
+    createMailTransport,
+    verifyMailTransport,
+    getSentMessages,
+    clearSentMessages
+};
@@ -0,0 +1,122 @@
+const { query } = require('./database');
+const { priceLine } = require('./menu-pricing');
+
+// Set menus ("3-course Braai Feast", "7-course tasting") made up of menu items and priced per
+// head. Each course lists its dishes; a course with `choose` set below the number of dishes is a
+// choice ("choose 1 of 3 starters"), otherwise every dish in it is served.
+//
+// A package in a booking is a line in selected_dishes with a package_id and the dishes chosen
+// (choices), so it is priced, re-priced and shown alongside the dishes.
+
+// Packages with each course's dishes filled in from menu_items. Dishes that have since been deleted
+// are left out, and choose is always how many of the remaining dishes the guests get.
+async function withCourseItems(packages) {
+    const ids = [...new Set(packages.flatMap(menuPackage => (menuPackage.courses || []).flatMap(course => course.items || [])))];
+    const result = ids.length > 0
+        ? await query(
+            'SELECT id, name, description, available, allergens, dietary_tags FROM menu_items WHERE id = ANY($1)',
+            [ids]
+        )
+        : { rows: [] };
+
+    return packages.map(menuPackage => ({
+        ...menuPackage,
+        courses: (menuPackage.courses || [])
+            .map(course => {
+                const dishes = (course.items || [])
+                    .map(id => result.rows.find(item => item.id === id))
+                    .filter(Boolean);
+                const choose = course.choose && course.choose < dishes.length ? course.choose : dishes.length;
+                return { ...course, choose, dishes };
+            })
+            .filter(course => course.dishes.length > 0)
+    }));
+}
+
+async function listPackages() {
+    const result = await query('SELECT * FROM menu_packages ORDER BY sort_order, created_at');
+    return withCourseItems(result.rows);
+}
+
+async function findPackage(id) {
+    const result = await query('SELECT * FROM menu_packages WHERE id = $1', [id]);
+    if (result.rows.length === 0) return null;
+    const [menuPackage] = await withCourseItems(result.rows);
+    return menuPackage;
+}
+
+// What's wrong with a package's courses ([{ name, choose, items }]) - dishes that aren't on the
+// menu or are in two courses, or a choice of more dishes than the course has. Null when fine.
+async function coursesProblem(courses) {
+    const ids = courses.flatMap(course => course.items);
+    if (new Set(ids).size !== ids.length) {
+        return 'A dish can only be in one course of a package';
+    }
+
+    const course = courses.find(course => course.choose > course.items.length);
+    if (course) {
+        return `${course.name} only has ${course.items.length} dish${course.items.length === 1 ? '' : 'es'}, so guests can't choose ${course.choose}`;
+    }
+
+    const result = await query('SELECT id FROM menu_items WHERE id = ANY($1)', [ids]);
+    if (result.rows.length !== ids.length) {
+        return 'Some of the dishes are no longer on the menu';
+    }
+    return null;
+}
+
+// Price a package line ({ package_id, choices, quantity }) for a party of guestCount, per head like a
+// per person dish. Returns { line }, { unavailable } naming what can't be served, or { status, error }.
+async function pricePackageLine(selected, guestCount) {
+    const menuPackage = await findPackage(selected.package_id);
+    if (!menuPackage || !menuPackage.available) {
+        return { unavailable: [(menuPackage && menuPackage.name) || selected.dish || selected.package_id] };
+    }
+
+    const choices = (selected.choices || []).map(String);
+    const courses = [];
+    for (const course of menuPackage.courses) {
+        const served = course.choose < course.dishes.length
+            ? course.dishes.filter(dish => choices.includes(dish.id))
+            : course.dishes;
+
+        if (served.length !== course.choose) {
+            return { status: 400, error: `Please choose ${course.choose} of the ${course.name} for ${menuPackage.name}` };
+        }
+
+        const unavailable = served.filter(dish => !dish.available);
+        if (unavailable.length > 0) {
+            return { unavailable: unavailable.map(dish => dish.name) };
+        }
+        courses.push({ name: course.name, dishes: served.map(dish => ({ id: dish.id, dish: dish.name })) });
+    }
+
+    const line = priceLine(
+        { name: menuPackage.name, price: menuPackage.price_per_person, pricing_mode: 'per_person', min_quantity: menuPackage.min_guests },
+        selected,
+        guestCount
+    );
+    if (line.error) {
+        return { status: 400, error: line.error };
+    }
+
+    return {
+        line: {
+            package_id: menuPackage.id,
+            dish: menuPackage.name,
+            pricing_mode: 'per_person',
+            choices: courses.flatMap(course => course.dishes.map(dish => dish.id)),
+            courses,
+            price: line.price,
+            quantity: line.quantity,
+            totalPrice: line.totalPrice
+        }
+    };
+}
+
+module.exports = {
+    listPackages,
+    findPackage,
+    coursesProblem,
+    pricePackageLine
+};
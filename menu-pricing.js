@@ -0,0 +1,114 @@
+// How a dish is priced for a booking. A dish is priced per item (fixed), per guest (per_person,
+// served to the whole party) or per platter that serves a number of people. Dishes can have
+// portion variants, such as half and full, each with its own price.
+//
+// This file is also sent to the browser (see /assets/js/menu-pricing.js in server.js) so the menu
+// and cart show the same totals the server charges - keep it free of require() calls.
+
+const PRICING_MODES = {
+    fixed: { label: 'Fixed price', unit: 'item' },
+    per_person: { label: 'Per person', unit: 'guest' },
+    per_platter: { label: 'Per platter', unit: 'platter' }
+};
+
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function pricingMode(menuItem) {
+    return PRICING_MODES[menuItem.pricing_mode] ? menuItem.pricing_mode : 'fixed';
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Platters needed to serve everyone
+function plattersFor(menuItem, guestCount) {
+    return guestCount ? Math.ceil(guestCount / Math.max(menuItem.serves || 1, 1)) : 0;
+}
+
+// The quantity a dish starts at when it's added to the cart
+function defaultQuantity(menuItem, guestCount) {
+    const minimum = menuItem.min_quantity || 1;
+    switch (pricingMode(menuItem)) {
+        case 'per_person':
+            return Math.max(guestCount || 0, minimum);
+        case 'per_platter':
+            return Math.max(plattersFor(menuItem, guestCount), minimum);
+        default:
+            return minimum;
+    }
+}
+
+// A priced or selected dish with its portion, e.g. "Lamb shank (Half)", or a set menu with the
+// dishes served, e.g. "Braai Feast (Starter: Soup; Main: Lamb shank)"
+function dishName(line) {
+    if (line.courses && line.courses.length > 0) {
+        const courses = line.courses.map(course => `${course.name}: ${course.dishes.map(dish => dish.dish).join(', ')}`);
+        return `${line.dish} (${courses.join('; ')})`;
+    }
+    return line.variant ? `${line.dish} (${line.variant})` : line.dish;
+}
+
+// e.g. "R250.00 per person" or "R600.00 per platter (serves 6)"
+function priceLabel(menuItem, price = menuItem.price) {
+    const amount = `R${parseFloat(price).toFixed(2)}`;
+    switch (pricingMode(menuItem)) {
+        case 'per_person':
+            return `${amount} per person`;
+        case 'per_platter':
+            return menuItem.serves ? `${amount} per platter (serves ${menuItem.serves})` : `${amount} per platter`;
+        default:
+            return amount;
+    }
+}
+
+// Price one cart line ({ quantity, variant }) for a party of guestCount. Per person dishes are
+// served to every guest, and there are always enough platters for everyone. Returns
+// { variant, price, quantity, totalPrice }, with an error when the line is below the dish's
+// minimum (the figures are still there for the cart to show), or just { error } for an unknown portion.
+function priceLine(menuItem, line, guestCount) {
+    const mode = pricingMode(menuItem);
+    const minimum = menuItem.min_quantity || 1;
+    const variants = menuItem.variants || [];
+    let price = parseFloat(menuItem.price);
+    let variant;
+
+    // Carts from before a dish had portions get the first one
+    if (variants.length > 0) {
+        const chosen = line.variant
+            ? variants.find(option => option.name.toLowerCase() === String(line.variant).toLowerCase())
+            : variants[0];
+        if (!chosen) {
+            return { error: `"${line.variant}" isn't a portion of ${menuItem.name}. Please choose another.` };
+        }
+        variant = chosen.name;
+        price = parseFloat(chosen.price);
+    }
+
+    let quantity = Number(line.quantity);
+    if (mode === 'per_person' && guestCount) {
+        quantity = guestCount;
+    } else if (mode === 'per_platter') {
+        quantity = Math.max(quantity, plattersFor(menuItem, guestCount));
+    }
+
+    const priced = { variant, price, quantity, totalPrice: roundCurrency(price * quantity) };
+    if (quantity < minimum) {
+        priced.error = mode === 'per_person'
+            ? `${menuItem.name} is for at least ${plural(minimum, 'guest')}`
+            : `${menuItem.name} has a minimum order of ${plural(minimum, PRICING_MODES[mode].unit)}`;
+    }
+    return priced;
+}
+
+module.exports = {
+    PRICING_MODES,
+    roundCurrency,
+    pricingMode,
+    defaultQuantity,
+    dishName,
+    priceLabel,
+    priceLine
+};
@@ -0,0 +1,54 @@
+// Password policy for admin accounts. bcrypt only reads the first 72 bytes, so longer passwords
+// are refused rather than silently cut short.
+const PASSWORD_MIN_LENGTH = 10;
+const PASSWORD_MAX_LENGTH = 72;
+
+// The most guessed passwords that would otherwise pass the rules
+const COMMON_PASSWORDS = [
+    'password123', 'password1234', 'qwerty12345', 'qwertyuiop1', '1234567890a', 'abc1234567',
+    'iloveyou123', 'welcome123', 'letmein123', 'admin12345', 'administrator1', 'changeme123',
+    'chefstefan1', 'chefstefan123', 'privatechef1'
+];
+
+// Reset links stop working after this many minutes, or once used
+const RESET_TOKEN_MINUTES = process.env.PASSWORD_RESET_MINUTES !== undefined
+    ? parseInt(process.env.PASSWORD_RESET_MINUTES, 10)
+    : 60;
+// Reset emails sent per account per hour, so the form can't be used to flood someone's inbox
+const MAX_RESETS_PER_HOUR = 3;
+
+// Everything wrong with a new password, as messages for the form (empty when it's acceptable).
+// Length is also in the request schemas so the browser can check it first.
+function passwordProblems(password, user = {}) {
+    const problems = [];
+    const value = String(password || '');
+    const lower = value.toLowerCase();
+
+    if (value.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    if (value.length > PASSWORD_MAX_LENGTH) {
+        problems.push(`Password is too long (maximum ${PASSWORD_MAX_LENGTH} characters)`);
+    }
+    if (!/[a-z]/i.test(value) || !/\d/.test(value)) {
+        problems.push('Password must contain both letters and numbers');
+    }
+    if (COMMON_PASSWORDS.includes(lower)) {
+        problems.push('This password is too common. Please choose another');
+    }
+
+    const mailbox = String(user.email || '').split('@')[0].toLowerCase();
+    if (mailbox.length >= 3 && lower.includes(mailbox)) {
+        problems.push('Password must not contain your email address');
+    }
+
+    return problems;
+}
+
+module.exports = {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    RESET_TOKEN_MINUTES,
+    MAX_RESETS_PER_HOUR,
+    passwordProblems
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { today, addDays } = require('./availability');
+
+// Customers can ask for changes or a cancellation up to this many days before the event
+const CHANGE_CUTOFF_DAYS = process.env.BOOKING_CHANGE_CUTOFF_DAYS !== undefined
+    ? parseInt(process.env.BOOKING_CHANGE_CUTOFF_DAYS, 10)
+    : 7;
+
+const CHANGE_REQUEST_TYPES = ['change', 'cancel'];
+const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'declined'];
+
+// Bookings in these statuses are finished with, so there is nothing left to change
+const CLOSED_BOOKING_STATUSES = ['completed', 'cancelled'];
+
+const MAX_GUEST_COUNT = 500;
+
+// Unguessable token for the customer's magic link - the link is the only credential
+function generatePortalToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// selected_dishes is stored as a JSON string
+function parseSelectedDishes(value) {
+    try {
+        const dishes = JSON.parse(value || '[]');
+        return Array.isArray(dishes) ? dishes : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Last day the customer can still request a change, or null if the event date is unreadable
+function changeDeadline(eventDate) {
+    const date = String(eventDate || '').slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+    return addDays(date, -CHANGE_CUTOFF_DAYS);
+}
+
+// Returns null when the customer may request changes, otherwise the reason they can't
+function changeBlockedReason(booking) {
+    const status = booking.status || 'pending';
+    if (CLOSED_BOOKING_STATUSES.includes(status)) {
+        return `This booking is ${status} and can no longer be changed.`;
+    }
+
+    const deadline = changeDeadline(booking.event_date);
+    if (deadline && today() > deadline) {
+        return `Changes and cancellations must be requested at least ${CHANGE_CUTOFF_DAYS} days before your event. Please contact us directly.`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    CHANGE_CUTOFF_DAYS,
+    CHANGE_REQUEST_TYPES,
+    CHANGE_REQUEST_STATUSES,
+    MAX_GUEST_COUNT,
+    generatePortalToken,
+    parseSelectedDishes,
+    changeDeadline,
+    changeBlockedReason
+};
@@ -0,0 +1,115 @@
+const { query } = require('./database');
+const { roundCurrency, pricingMode, priceLine } = require('./menu-pricing');
+const { pricePackageLine } = require('./menu-packages');
+
+// Upper bound per dish, so a typo can't turn into a R1m booking
+const MAX_DISH_QUANTITY = 500;
+
+// Resolve the dishes a customer picked against menu_items and price them server-side, by each
+// dish's pricing mode, minimum and portion for a party of guestCount (see menu-pricing.js).
+// Set menus are lines with a package_id (see menu-packages.js).
+// Browser-supplied prices and totals are ignored. Returns { items, total } on success,
+// or { status, error, unavailable_items } when a dish can't be booked.
+async function priceSelectedDishes(selectedDishes, guestCount = null) {
+    if (!selectedDishes || (Array.isArray(selectedDishes) && selectedDishes.length === 0)) {
+        return { items: [], total: null };
+    }
+    if (!Array.isArray(selectedDishes)) {
+        return { status: 400, error: 'Selected dishes must be a list' };
+    }
+
+    for (const dish of selectedDishes) {
+        const quantity = Number(dish && dish.quantity);
+        if (!dish || (!dish.id && !dish.dish && !dish.package_id)) {
+            return { status: 400, error: 'Each selected dish needs a menu item id' };
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_DISH_QUANTITY) {
+            return { status: 400, error: `Invalid quantity for "${dish.dish || dish.id}"` };
+        }
+    }
+
+    const dishes = selectedDishes.filter(dish => !dish.package_id);
+    const ids = dishes.filter(dish => dish.id).map(dish => String(dish.id));
+    // Carts saved before dishes carried an id fall back to an exact name match
+    const names = dishes.filter(dish => !dish.id).map(dish => String(dish.dish).toLowerCase());
+
+    const result = await query(
+        `SELECT id, name, price, available, pricing_mode, min_quantity, serves, variants
+         FROM menu_items WHERE id = ANY($1) OR LOWER(name) = ANY($2)`,
+        [ids, names]
+    );
+
+    const items = [];
+    const unavailable = [];
+
+    for (const dish of selectedDishes) {
+        if (dish.package_id) {
+            const priced = await pricePackageLine(dish, guestCount);
+            if (priced.unavailable) {
+                unavailable.push(...priced.unavailable);
+            } else if (priced.error) {
+                return { status: priced.status, error: priced.error };
+            } else {
+                items.push(priced.line);
+            }
+            continue;
+        }
+
+        const menuItem = dish.id
+            ? result.rows.find(row => row.id === String(dish.id))
+            : result.rows.find(row => row.name.toLowerCase() === String(dish.dish).toLowerCase());
+
+        if (!menuItem) {
+            unavailable.push(dish.dish || dish.id);
+            continue;
+        }
+        if (menuItem.available === false) {
+            unavailable.push(menuItem.name);
+            continue;
+        }
+
+        const line = priceLine(menuItem, dish, guestCount);
+        if (line.error) {
+            return { status: 400, error: line.error };
+        }
+
+        const existing = items.find(item => item.id === menuItem.id && item.variant === line.variant);
+
+        // The same dish and portion listed twice is merged into one line. Per person dishes are
+        // already served to everyone, so they aren't added up.
+        if (existing) {
+            if (existing.pricing_mode !== 'per_person') {
+                existing.quantity += line.quantity;
+                existing.totalPrice = roundCurrency(existing.price * existing.quantity);
+            }
+        } else {
+            items.push({
+                id: menuItem.id,
+                dish: menuItem.name,
+                ...(line.variant ? { variant: line.variant } : {}),
+                pricing_mode: pricingMode(menuItem),
+                price: line.price,
+                quantity: line.quantity,
+                totalPrice: line.totalPrice
+            });
+        }
+    }
+
+    if (unavailable.length > 0) {
+        return {
+            status: 409,
+            error: `Sorry, the following dishes are no longer available: ${unavailable.join(', ')}. Please update your selection and try again.`,
+            unavailable_items: unavailable
+        };
+    }
+
+    return {
+        items,
+        total: roundCurrency(items.reduce((sum, item) => sum + item.totalPrice, 0))
+    };
+}
+
+module.exports = {
+    MAX_DISH_QUANTITY,
+    priceSelectedDishes
+};
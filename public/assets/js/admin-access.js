@@ -0,0 +1,95 @@
+/**
+ * Role-based access for the admin pages
+ * Hides the pages and actions the signed-in user's role doesn't allow (the roles are defined in
+ * roles.js on the server, which checks every request regardless).
+ *
+ * Mark an action with the permission it needs, e.g. <button data-requires="manage_bookings">.
+ * Page scripts can ask with adminAccess.can('manage_bookings') once adminAccess.ready resolves.
+ */
+
+// The permission each admin page needs. Pages not listed are open to every role.
+const PAGE_PERMISSIONS = {
+    'admin-bookings.html': 'view_bookings',
+    'admin-schedule.html': 'view_schedule',
+    'admin-inbox.html': 'manage_inbox',
+    'admin-menu.html': 'manage_menu',
+    'admin-categories.html': 'manage_menu',
+    'admin-gallery.html': 'manage_menu',
+    'Admin.html': 'manage_users',
+    'admin-blog.html': 'manage_blog',
+    'admin-audit.html': 'view_audit'
+};
+
+// Marked actions stay hidden until the user's permissions are known
+const accessStyle = document.createElement('style');
+accessStyle.textContent = '[data-requires] { display: none !important; }';
+document.head.appendChild(accessStyle);
+
+let accessPermissions = [];
+
+function can(permission) {
+    return accessPermissions.includes(permission);
+}
+
+function applyAccess(user) {
+    accessPermissions = user.permissions || [];
+    document.body.dataset.role = user.role;
+
+    const allowed = accessPermissions.map(permission => `:not([data-requires="${permission}"])`).join('');
+    accessStyle.textContent = `[data-requires]${allowed} { display: none !important; }`;
+
+    // Sidebar links to pages this role can't open
+    Object.entries(PAGE_PERMISSIONS).forEach(([page, permission]) => {
+        if (can(permission)) return;
+        document.querySelectorAll(`.admin-sidebar a[href="${page}"]`).forEach(link => {
+            (link.closest('li') || link).style.display = 'none';
+        });
+    });
+
+    const currentPage = window.location.pathname.split('/').pop();
+    const pagePermission = PAGE_PERMISSIONS[currentPage];
+    const main = document.querySelector('.main-content');
+
+    // The page's own content is hidden rather than removed, so its scripts keep working
+    if (pagePermission && !can(pagePermission) && main) {
+        Array.from(main.children).forEach(element => {
+            element.style.display = 'none';
+        });
+        main.insertAdjacentHTML('afterbegin', `
+            <div class="alert alert-warning mt-4">
+                <i class="bi bi-shield-lock me-2"></i>
+                Your role (${user.role}) doesn't have access to this page.
+                <a href="admin-dashboard.html" class="alert-link">Back to the dashboard</a>
+            </div>
+        `);
+    }
+}
+
+async function loadAccess() {
+    try {
+        const response = await fetch('/api/auth/me', { credentials: 'include' });
+        if (!response.ok) return null;
+
+        const { user } = await response.json();
+
+        // The owner requires two-factor sign-in for this account and it isn't set up yet
+        if (user.two_factor_setup_required) {
+            window.location.href = 'two-factor.html';
+            return null;
+        }
+
+        if (document.readyState === 'loading') {
+            await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+        }
+        applyAccess(user);
+        return user;
+    } catch (error) {
+        console.error('Error loading permissions:', error);
+        return null;
+    }
+}
+
+window.adminAccess = {
+    ready: loadAccess(),
+    can
+};
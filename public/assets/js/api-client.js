@@ -33,7 +33,11 @@ class APIClient {
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                // Validation failures list each problem as { field, message }
+                error.status = response.status;
+                error.errors = errorData.errors || [];
+                throw error;
             }
 
             // Handle empty responses
@@ -49,12 +53,54 @@ class APIClient {
         }
     }
 
+    // Request schemas for every route (GET /api/schemas), loaded once
+    async loadSchemas() {
+        if (!this.schemas) {
+            this.schemas = this.request('/schemas').catch(error => {
+                this.schemas = null;
+                throw error;
+            });
+        }
+        return this.schemas;
+    }
+
+    // Check a request against its schema in schemas.js before sending it, throwing the same
+    // 400 error the server would. Pages opt in by loading /assets/js/validation.js before this
+    // file - without it, or if the schemas can't be loaded, the server does the checking alone.
+    async validate(schemaName, { params, query, body } = {}) {
+        if (typeof RequestValidation === 'undefined') return;
+
+        let schema;
+        try {
+            schema = (await this.loadSchemas())[schemaName];
+        } catch (error) {
+            return;
+        }
+        if (!schema) return;
+
+        const parts = { params, query, body };
+        const errors = [];
+        ['params', 'query', 'body'].forEach(part => {
+            if (!schema[part]) return;
+            const result = RequestValidation.validate(schema[part], parts[part] || {});
+            if (result.errors) errors.push(...result.errors);
+        });
+
+        if (errors.length > 0) {
+            const error = new Error(errors[0].message);
+            error.status = 400;
+            error.errors = errors;
+            throw error;
+        }
+    }
+
     // Categories API
     async getCategories() {
         return this.request('/categories');
     }
 
     async createCategory(categoryData) {
+        await this.validate('createCategory', { body: categoryData });
         return this.request('/categories', {
             method: 'POST',
             body: JSON.stringify(categoryData)
@@ -62,6 +108,7 @@ class APIClient {
     }
 
     async updateCategory(categoryId, categoryData) {
+        await this.validate('updateCategory', { params: { id: categoryId }, body: categoryData });
         return this.request(`/categories/${categoryId}`, {
             method: 'PUT',
             body: JSON.stringify(categoryData)
@@ -80,6 +127,9 @@ class APIClient {
     }
 
     async createMenuItem(menuItemData) {
+        const { image, ...fields } = menuItemData;
+        await this.validate('createMenuItem', { body: fields });
+
         const formData = new FormData();
         
         // Append all fields to FormData
@@ -98,6 +148,9 @@ class APIClient {
     }
 
     async updateMenuItem(itemId, menuItemData) {
+        const { image, ...fields } = menuItemData;
+        await this.validate('updateMenuItem', { params: { id: itemId }, body: fields });
+
         const formData = new FormData();
         
         // Append all fields to FormData
@@ -121,6 +174,33 @@ class APIClient {
         });
     }
 
+    // Set Menus API
+    async getMenuPackages() {
+        return this.request('/menu-packages');
+    }
+
+    async createMenuPackage(packageData) {
+        await this.validate('createMenuPackage', { body: packageData });
+        return this.request('/menu-packages', {
+            method: 'POST',
+            body: JSON.stringify(packageData)
+        });
+    }
+
+    async updateMenuPackage(packageId, packageData) {
+        await this.validate('updateMenuPackage', { params: { id: packageId }, body: packageData });
+        return this.request(`/menu-packages/${packageId}`, {
+            method: 'PUT',
+            body: JSON.stringify(packageData)
+        });
+    }
+
+    async deleteMenuPackage(packageId) {
+        return this.request(`/menu-packages/${packageId}`, {
+            method: 'DELETE'
+        });
+    }
+
     // Gallery API
     async getGalleryImages() {
         return this.request('/gallery');
@@ -147,6 +227,7 @@ class APIClient {
     }
 
     async updateGalleryImage(imageId, imageData) {
+        await this.validate('updateGalleryImage', { params: { id: imageId }, body: imageData });
         return this.request(`/gallery/${imageId}`, {
             method: 'PUT',
             body: JSON.stringify(imageData)
@@ -164,14 +245,8 @@ class APIClient {
         return this.request('/users');
     }
 
-    async createUser(userData) {
-        return this.request('/users', {
-            method: 'POST',
-            body: JSON.stringify(userData)
-        });
-    }
-
     async updateUser(userId, userData) {
+        await this.validate('updateUser', { params: { id: userId }, body: userData });
         return this.request(`/users/${userId}`, {
             method: 'PUT',
             body: JSON.stringify(userData)
@@ -184,6 +259,275 @@ class APIClient {
         });
     }
 
+    async getInvites() {
+        return this.request('/users/invites');
+    }
+
+    async createInvite(inviteData) {
+        await this.validate('createInvite', { body: inviteData });
+        return this.request('/users/invites', {
+            method: 'POST',
+            body: JSON.stringify(inviteData)
+        });
+    }
+
+    async resendInvite(inviteId) {
+        return this.request(`/users/invites/${inviteId}/resend`, {
+            method: 'POST'
+        });
+    }
+
+    async revokeInvite(inviteId) {
+        return this.request(`/users/invites/${inviteId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async resetUserTwoFactor(userId) {
+        return this.request(`/users/${userId}/two-factor`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Booking Intake API (public)
+    async getBookingSchema() {
+        return this.request('/v1/bookings/schema');
+    }
+
+    async submitBooking(booking) {
+        await this.validate('submitBooking', { body: booking });
+        return this.request('/v1/bookings', {
+            method: 'POST',
+            body: JSON.stringify(booking)
+        });
+    }
+
+    // Bookings API
+    async getBookings() {
+        return this.request('/bookings');
+    }
+
+    async getBooking(bookingId) {
+        return this.request(`/bookings/${bookingId}`);
+    }
+
+    async getBookingHistory(bookingId) {
+        return this.request(`/bookings/${bookingId}/history`);
+    }
+
+    async getBookingStatuses() {
+        return this.request('/booking-statuses');
+    }
+
+    async updateBooking(bookingId, bookingData) {
+        await this.validate('updateBooking', { params: { id: bookingId }, body: bookingData });
+        return this.request(`/bookings/${bookingId}`, {
+            method: 'PUT',
+            body: JSON.stringify(bookingData)
+        });
+    }
+
+    async deleteBooking(bookingId) {
+        return this.request(`/bookings/${bookingId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Quotes API
+    async getQuoteSettings() {
+        return this.request('/quote-settings');
+    }
+
+    async getBookingQuotes(bookingId) {
+        return this.request(`/bookings/${bookingId}/quotes`);
+    }
+
+    async createQuote(bookingId, quoteData = {}) {
+        await this.validate('createQuote', { params: { id: bookingId }, body: quoteData });
+        return this.request(`/bookings/${bookingId}/quotes`, {
+            method: 'POST',
+            body: JSON.stringify(quoteData)
+        });
+    }
+
+    async updateQuote(quoteId, quoteData) {
+        await this.validate('updateQuote', { params: { id: quoteId }, body: quoteData });
+        return this.request(`/admin/quotes/${quoteId}`, {
+            method: 'PUT',
+            body: JSON.stringify(quoteData)
+        });
+    }
+
+    async deleteQuote(quoteId) {
+        return this.request(`/admin/quotes/${quoteId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async sendQuote(quoteId) {
+        return this.request(`/admin/quotes/${quoteId}/send`, {
+            method: 'POST'
+        });
+    }
+
+    async getQuote(token) {
+        return this.request(`/quotes/${token}`);
+    }
+
+    async acceptQuote(token, acceptedByName) {
+        const body = { accepted_by_name: acceptedByName };
+        await this.validate('acceptQuote', { params: { token }, body });
+        return this.request(`/quotes/${token}/accept`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+    }
+
+    async getBookingStatus(reference, email) {
+        const params = new URLSearchParams({ reference, email });
+        return this.request(`/booking-status?${params}`);
+    }
+
+    // Customer Portal API
+    async getPortalBooking(token) {
+        return this.request(`/portal/${token}`);
+    }
+
+    async createChangeRequest(token, requestData) {
+        await this.validate('createChangeRequest', { params: { token }, body: requestData });
+        return this.request(`/portal/${token}/change-requests`, {
+            method: 'POST',
+            body: JSON.stringify(requestData)
+        });
+    }
+
+    async getChangeRequests(status) {
+        return this.request(`/admin/change-requests${status ? `?status=${status}` : ''}`);
+    }
+
+    async getBookingChangeRequests(bookingId) {
+        return this.request(`/bookings/${bookingId}/change-requests`);
+    }
+
+    async approveChangeRequest(requestId, adminNote) {
+        return this.request(`/admin/change-requests/${requestId}/approve`, {
+            method: 'POST',
+            body: JSON.stringify({ admin_note: adminNote })
+        });
+    }
+
+    async declineChangeRequest(requestId, adminNote) {
+        return this.request(`/admin/change-requests/${requestId}/decline`, {
+            method: 'POST',
+            body: JSON.stringify({ admin_note: adminNote })
+        });
+    }
+
+    async sendPortalLink(bookingId) {
+        return this.request(`/bookings/${bookingId}/portal-link`, {
+            method: 'POST'
+        });
+    }
+
+    // Audit Log API
+    async getAuditLog(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.append(key, value);
+        });
+        return this.request(`/admin/audit${params.toString() ? '?' + params.toString() : ''}`);
+    }
+
+    // Contact Inbox API
+    async getContacts(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.append(key, value);
+        });
+        return this.request(`/admin/contacts${params.toString() ? '?' + params.toString() : ''}`);
+    }
+
+    async getContact(contactId) {
+        return this.request(`/admin/contacts/${contactId}`);
+    }
+
+    async updateContact(contactId, changes) {
+        await this.validate('updateContact', { params: { id: contactId }, body: changes });
+        return this.request(`/admin/contacts/${contactId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async replyToContact(contactId, message) {
+        await this.validate('replyToContact', { params: { id: contactId }, body: { message } });
+        return this.request(`/admin/contacts/${contactId}/replies`, {
+            method: 'POST',
+            body: JSON.stringify({ message })
+        });
+    }
+
+    // Email Templates API
+    async getEmailTemplates() {
+        return this.request('/admin/email-templates');
+    }
+
+    async previewEmailTemplate(name, format = 'json') {
+        return this.request(`/admin/email-templates/${encodeURIComponent(name)}/preview?format=${format}`);
+    }
+
+    async getEmailOutbox(status) {
+        return this.request(`/admin/email-outbox${status ? `?status=${status}` : ''}`);
+    }
+
+    async resendEmail(emailId) {
+        return this.request(`/admin/email-outbox/${emailId}/resend`, {
+            method: 'POST'
+        });
+    }
+
+    // Schedule API
+    async getSchedule() {
+        return this.request('/admin/schedule');
+    }
+
+    async getScheduleExceptions(from, to) {
+        const params = new URLSearchParams();
+        if (from) params.append('from', from);
+        if (to) params.append('to', to);
+        return this.request(`/admin/schedule/exceptions${params.toString() ? '?' + params.toString() : ''}`);
+    }
+
+    async createScheduleException(exceptionData) {
+        await this.validate('createScheduleException', { body: exceptionData });
+        return this.request('/admin/schedule/exceptions', {
+            method: 'POST',
+            body: JSON.stringify(exceptionData)
+        });
+    }
+
+    async updateScheduleException(exceptionId, exceptionData) {
+        await this.validate('updateScheduleException', { params: { id: exceptionId }, body: exceptionData });
+        return this.request(`/admin/schedule/exceptions/${exceptionId}`, {
+            method: 'PUT',
+            body: JSON.stringify(exceptionData)
+        });
+    }
+
+    async deleteScheduleException(exceptionId) {
+        return this.request(`/admin/schedule/exceptions/${exceptionId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async updateWorkingHours(workingHours) {
+        await this.validate('updateWorkingHours', { body: { working_hours: workingHours } });
+        return this.request('/admin/schedule/working-hours', {
+            method: 'PUT',
+            body: JSON.stringify({ working_hours: workingHours })
+        });
+    }
+
     // Statistics API
     async getStatistics() {
         return this.request('/stats');
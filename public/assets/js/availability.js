@@ -0,0 +1,139 @@
+/**
+ * Booking Availability - Chef Stefan
+ * Loads the public availability calendar and keeps booking date inputs
+ * off fully booked, blacked out and too-soon dates, and time selects
+ * within Chef Stefan's working hours
+ */
+
+class BookingAvailability {
+    constructor() {
+        this.months = {};
+        this.reasonMessages = {
+            past: 'This date has already passed.',
+            lead_time: 'This date is too soon - please allow more notice.',
+            blackout: 'Chef Stefan is not available on this date.',
+            closed: 'Chef Stefan does not take bookings on this day of the week.',
+            fully_booked: 'This date is fully booked.'
+        };
+    }
+
+    async getMonth(month) {
+        if (!this.months[month]) {
+            this.months[month] = fetch(`/api/availability?month=${month}`)
+                .then(response => response.ok ? response.json() : null)
+                .catch(error => {
+                    console.warn('Could not load availability:', error);
+                    return null;
+                });
+        }
+
+        const availability = await this.months[month];
+        if (!availability) {
+            // Allow a retry next time instead of caching the failure
+            delete this.months[month];
+        }
+        return availability;
+    }
+
+    async getDay(date) {
+        const availability = await this.getMonth(date.slice(0, 7));
+        if (!availability) return null;
+        return availability.days.find(day => day.date === date) || null;
+    }
+
+    // First available date, looking up to three months ahead
+    async getFirstAvailableDate() {
+        const cursor = new Date();
+        cursor.setDate(1);
+
+        for (let i = 0; i < 3; i++) {
+            const month = `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`;
+            const availability = await this.getMonth(month);
+            if (!availability) return null;
+
+            const day = availability.days.find(d => d.available);
+            if (day) return day.date;
+
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+        return null;
+    }
+
+    // Wire a date input (and optionally its time select) up to the availability calendar
+    async attach(input, timeSelect) {
+        if (!input) return;
+
+        const hint = document.createElement('small');
+        hint.className = 'availability-hint d-block mt-1 text-muted';
+        input.insertAdjacentElement('afterend', hint);
+
+        input.addEventListener('change', () => this.validateInput(input, hint, timeSelect));
+
+        const currentMonth = new Date().toISOString().slice(0, 7);
+        const availability = await this.getMonth(currentMonth);
+        if (availability) {
+            input.setAttribute('min', availability.earliest_date);
+            this.renderHint(hint, availability);
+        }
+
+        const firstAvailable = await this.getFirstAvailableDate();
+        if (firstAvailable) {
+            input.setAttribute('min', firstAvailable);
+        }
+    }
+
+    async validateInput(input, hint, timeSelect) {
+        input.setCustomValidity('');
+        if (!input.value) {
+            this.restrictTimes(timeSelect, null);
+            return;
+        }
+
+        const month = input.value.slice(0, 7);
+        const availability = await this.getMonth(month);
+        if (!availability) return;
+
+        this.renderHint(hint, availability);
+
+        const day = availability.days.find(d => d.date === input.value);
+        this.restrictTimes(timeSelect, day && day.available ? day.hours : null);
+
+        if (day && !day.available) {
+            input.setCustomValidity(this.reasonMessages[day.reason] || 'This date is not available.');
+            input.reportValidity();
+        }
+    }
+
+    // Disable time options outside the working hours of the selected day
+    restrictTimes(timeSelect, hours) {
+        if (!timeSelect) return;
+
+        Array.from(timeSelect.options).forEach(option => {
+            if (!option.value) return;
+            option.disabled = !!hours && (option.value < hours.start || option.value > hours.end);
+        });
+
+        const selected = timeSelect.options[timeSelect.selectedIndex];
+        if (selected && selected.disabled) {
+            timeSelect.value = '';
+        }
+    }
+
+    // List the upcoming unavailable dates of a month underneath the input
+    renderHint(hint, availability) {
+        const unavailable = availability.days.filter(day =>
+            !day.available && day.date >= availability.earliest_date
+        );
+
+        if (unavailable.length === 0) {
+            hint.textContent = '';
+            return;
+        }
+
+        const monthName = new Date(`${availability.month}-01T00:00:00`).toLocaleDateString('en-ZA', { month: 'long' });
+        const dates = unavailable.map(day => parseInt(day.date.slice(8), 10)).join(', ');
+        hint.textContent = `Unavailable in ${monthName}: ${dates}`;
+    }
+}
+
+window.bookingAvailability = new BookingAvailability();
@@ -85,7 +85,7 @@ class BlogPost {
                 <header class="post-header mb-5">
                     ${this.post.featured_image ? `
                         <div class="post-image mb-4">
-                            <img src="${this.post.featured_image}" alt="${this.escapeHtml(this.post.title)}" class="img-fluid rounded">
+                            <img src="${this.post.featured_image}" alt="${escapeHtml(this.post.title)}" class="img-fluid rounded">
                             <div class="post-image-overlay">
                                 <div class="post-category" style="background-color: ${this.post.category_color || '#cda45e'};">
                                     ${this.post.category_name || 'Uncategorized'}
@@ -94,7 +94,7 @@ class BlogPost {
                         </div>
                     ` : ''}
                     
-                    <h1 class="post-title">${this.escapeHtml(this.post.title)}</h1>
+                    <h1 class="post-title">${escapeHtml(this.post.title)}</h1>
                     
                     <div class="post-meta">
                         <div class="post-meta-item">
@@ -125,7 +125,7 @@ class BlogPost {
                     
                     ${this.post.excerpt ? `
                         <div class="post-excerpt">
-                            <p class="lead">${this.escapeHtml(this.post.excerpt)}</p>
+                            <p class="lead">${escapeHtml(this.post.excerpt)}</p>
                         </div>
                     ` : ''}
                 </header>
@@ -192,7 +192,7 @@ class BlogPost {
                             <a href="blog.html?category=${this.post.category_slug}">${this.post.category_name}</a>
                         </li>
                     ` : ''}
-                    <li class="breadcrumb-item active" aria-current="page">${this.escapeHtml(this.post.title)}</li>
+                    <li class="breadcrumb-item active" aria-current="page">${escapeHtml(this.post.title)}</li>
                 </ol>
             </nav>
         `;
@@ -270,7 +270,7 @@ class BlogPost {
                                 <article class="related-post-card">
                                     ${post.featured_image ? `
                                         <div class="related-post-image">
-                                            <img src="${post.featured_image}" alt="${this.escapeHtml(post.title)}" class="img-fluid">
+                                            <img src="${post.featured_image}" alt="${escapeHtml(post.title)}" class="img-fluid">
                                         </div>
                                     ` : `
                                         <div class="related-post-image related-post-no-image" style="background: linear-gradient(135deg, ${post.category_color || '#cda45e'}22, ${post.category_color || '#cda45e'}11);">
@@ -284,8 +284,8 @@ class BlogPost {
                                             <span>•</span>
                                             <span>${post.reading_time || 5} min read</span>
                                         </div>
-                                        <h4><a href="blog-post.html?slug=${post.slug}">${this.escapeHtml(post.title)}</a></h4>
-                                        <p>${this.escapeHtml((post.excerpt || '').substring(0, 80))}...</p>
+                                        <h4><a href="blog-post.html?slug=${post.slug}">${escapeHtml(post.title)}</a></h4>
+                                        <p>${escapeHtml((post.excerpt || '').substring(0, 80))}...</p>
                                     </div>
                                 </article>
                             </div>
@@ -329,17 +329,6 @@ class BlogPost {
             </div>
         `;
     }
-
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text ? text.replace(/[&<>"']/g, function(m) { return map[m]; }) : '';
-    }
 }
 
 // Social sharing functions
@@ -214,7 +214,7 @@ class BlogManager {
                 <article class="blog-card h-100">
                     ${post.featured_image ? `
                         <div class="blog-card-image">
-                            <img src="${post.featured_image}" alt="${this.escapeHtml(post.title)}" class="img-fluid">
+                            <img src="${post.featured_image}" alt="${escapeHtml(post.title)}" class="img-fluid">
                             <div class="blog-card-overlay">
                                 <div class="blog-card-category" style="background-color: ${post.category_color || '#cda45e'};">
                                     ${post.category_name || 'Uncategorized'}
@@ -242,10 +242,10 @@ class BlogManager {
                         </div>
                         
                         <h3 class="blog-card-title">
-                            <a href="blog-post.html?slug=${post.slug}">${this.escapeHtml(post.title)}</a>
+                            <a href="blog-post.html?slug=${post.slug}">${escapeHtml(post.title)}</a>
                         </h3>
                         
-                        <p class="blog-card-excerpt">${this.escapeHtml(excerpt)}</p>
+                        <p class="blog-card-excerpt">${escapeHtml(excerpt)}</p>
                         
                         <div class="blog-card-footer">
                             <div class="blog-card-author">
@@ -430,17 +430,6 @@ class BlogManager {
         // For now, return the slug capitalized
         return slug.charAt(0).toUpperCase() + slug.slice(1);
     }
-
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text ? text.replace(/[&<>"']/g, function(m) { return map[m]; }) : '';
-    }
 }
 
 // Initialize blog manager when DOM is loaded
@@ -6,6 +6,8 @@
 class CartSession {
     constructor() {
         this.cartData = null;
+        // Allergens and dietary labels of the menu items, to warn about dishes that don't suit
+        this.menuLabels = [];
         this.init();
     }
 
@@ -17,15 +19,82 @@ class CartSession {
         this.initializeEventListeners();
         this.initializeAOS();
         this.setMinDate();
+        this.loadMenuLabels();
         
         console.log('Cart Session initialized successfully');
     }
 
+    async loadMenuLabels() {
+        try {
+            const response = await fetch('/api/menu-items');
+            if (response.ok) {
+                this.menuLabels = (await response.json()).map(item => ({
+                    id: item.id,
+                    name: item.name,
+                    allergens: item.allergens || [],
+                    dietary_tags: item.dietary_tags || []
+                }));
+            }
+        } catch (e) {
+            // Without the labels there's nothing to warn about - the chef still checks the booking
+            console.warn('Could not load menu labels:', e);
+        }
+    }
+
+    // What the customer ticked and typed under dietary requirements
+    getDietaryRestrictions() {
+        const form = document.getElementById('cartBookingForm');
+        if (!form) return '';
+
+        const checked = [...form.querySelectorAll('input[name="dietaryRestrictions"]:checked')].map(input => input.value);
+        const other = form.querySelector('#dietaryOther').value.trim();
+        return [...checked, other].filter(Boolean).join(', ');
+    }
+
+    // Dishes in the cart that don't suit the dietary requirements, going by the menu's labels.
+    // A set menu is checked dish by dish.
+    getDietaryConflicts() {
+        if (!window.Dietary || !this.cartData || !this.cartData.items) return [];
+
+        const cartDishes = this.cartData.items.flatMap(item => item.package_id
+            ? (item.courses || []).flatMap(course => course.dishes)
+            : [item]);
+        const dishes = cartDishes.map(item => {
+            const labels = this.menuLabels.find(menuItem => menuItem.id === item.id)
+                || this.menuLabels.find(menuItem => menuItem.name === item.dish)
+                || {};
+            return { id: item.id, dish: item.dish, allergens: labels.allergens, dietary_tags: labels.dietary_tags };
+        });
+
+        return window.Dietary.dietaryConflicts(this.getDietaryRestrictions(), dishes);
+    }
+
+    renderDietaryWarnings() {
+        const warnings = document.getElementById('dietaryWarnings');
+        if (!warnings) return;
+
+        const conflicts = this.getDietaryConflicts();
+        if (conflicts.length === 0) {
+            warnings.style.display = 'none';
+            warnings.innerHTML = '';
+            return;
+        }
+
+        warnings.style.display = 'block';
+        warnings.innerHTML = `
+            <i class="bi bi-exclamation-triangle"></i>
+            Some dishes in your cart may not suit these requirements:
+            <ul>${conflicts.map(conflict => `<li>${escapeHtml(conflict.message)}</li>`).join('')}</ul>
+            You can still send your request - Chef Stefan will talk through alternatives with you.
+        `;
+    }
+
     loadCartData() {
         const savedData = sessionStorage.getItem('menuBookingData');
         if (savedData) {
             try {
                 this.cartData = JSON.parse(savedData);
+                this.priceItems();
                 console.log('Cart data loaded:', this.cartData);
             } catch (e) {
                 console.warn('Could not load cart data:', e);
@@ -34,6 +103,34 @@ class CartSession {
         }
     }
 
+    // Re-price every line for the guest count with menu-pricing.js, as the server will. A line that
+    // breaks a rule (too few guests for a per person dish) shows why, as the booking would be turned down.
+    priceItems() {
+        if (!this.cartData || !this.cartData.items) return;
+
+        const guestCount = this.cartData.guestCount || null;
+        this.cartData.items.forEach(item => {
+            const line = MenuPricing.priceLine({ ...item, name: item.dish, price: item.basePrice ?? item.price }, item, guestCount);
+            item.warning = line.error || null;
+            if (line.totalPrice !== undefined) {
+                item.price = line.price;
+                item.quantity = line.quantity;
+                item.totalPrice = line.totalPrice;
+            }
+        });
+        this.cartData.totalAmount = MenuPricing.roundCurrency(this.cartData.items.reduce((total, item) => total + item.totalPrice, 0));
+    }
+
+    // The guest count is asked for in the summary and on the booking form; both stay in step
+    setGuestCount(value) {
+        if (!this.cartData) return;
+
+        this.cartData.guestCount = parseInt(value, 10) || null;
+        this.priceItems();
+        this.saveCartData();
+        this.renderCart();
+    }
+
     renderCart() {
         const cartItemsList = document.getElementById('cartItemsList');
         const emptyCartState = document.getElementById('emptyCartState');
@@ -53,32 +150,44 @@ class CartSession {
         emptyCartState.style.display = 'none';
         cartSummary.style.display = 'block';
 
+        ['summaryGuestCount', 'guestCount'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input && this.cartData.guestCount) {
+                input.value = this.cartData.guestCount;
+            }
+        });
+
         // Render cart items
         cartItemsList.innerHTML = this.cartData.items.map((item, index) => `
             <div class="cart-item-card" data-aos="fade-up" data-aos-delay="${index * 100}">
                 <div class="cart-item-info">
                     <div class="cart-item-details-section">
-                        <div class="cart-item-name">${item.dish}</div>
-                        <div class="cart-item-details">R${item.price.toLocaleString()} per serving</div>
+                        <div class="cart-item-name">${escapeHtml(MenuPricing.dishName(item))}</div>
+                        <div class="cart-item-details">${this.describePricing(item)}</div>
+                        ${item.warning ? `<div class="cart-item-warning"><i class="bi bi-exclamation-triangle"></i> ${escapeHtml(item.warning)}</div>` : ''}
                     </div>
                     
                     <div class="cart-item-controls">
                         <div class="quantity-control">
-                            <button class="quantity-btn" onclick="cartSession.updateQuantity('${item.dish}', ${item.quantity - 1})">
+                            ${item.pricing_mode === 'per_person' ? `
+                            <span class="quantity-display">${item.quantity} guests</span>
+                            ` : `
+                            <button class="quantity-btn" onclick="cartSession.updateQuantity(${index}, ${item.quantity - 1})">
                                 <i class="bi bi-dash"></i>
                             </button>
                             <span class="quantity-display">${item.quantity}</span>
-                            <button class="quantity-btn" onclick="cartSession.updateQuantity('${item.dish}', ${item.quantity + 1})">
+                            <button class="quantity-btn" onclick="cartSession.updateQuantity(${index}, ${item.quantity + 1})">
                                 <i class="bi bi-plus"></i>
                             </button>
+                            `}
                         </div>
                         
                         <div class="cart-item-price">
-                            <div class="item-price">R${item.price.toLocaleString()} each</div>
+                            <div class="item-price">${MenuPricing.priceLabel(item, item.price)}${item.pricing_mode === 'per_person' || item.pricing_mode === 'per_platter' ? '' : ' each'}</div>
                             <div class="item-total">R${item.totalPrice.toLocaleString()}</div>
                         </div>
                         
-                        <button class="quantity-btn" style="background: #dc3545;" onclick="cartSession.removeItem('${item.dish}')" title="Remove item">
+                        <button class="quantity-btn" style="background: #dc3545;" onclick="cartSession.removeItem(${index})" title="Remove item">
                             <i class="bi bi-trash"></i>
                         </button>
                     </div>
@@ -86,30 +195,42 @@ class CartSession {
             </div>
         `).join('');
 
-        // Update summary
-        const totalItems = this.cartData.items.reduce((total, item) => total + item.quantity, 0);
+        // Update summary - a per person dish counts once, not once per guest
+        const totalItems = this.cartData.items.reduce((total, item) => total + (item.pricing_mode === 'per_person' ? 1 : item.quantity), 0);
         cartTotalAmount.textContent = this.cartData.totalAmount.toLocaleString();
         cartTotalItems.textContent = totalItems;
     }
 
-    updateQuantity(dishName, newQuantity) {
+    // e.g. "Per person, minimum 4 guests" or "Per platter, serves 6"
+    describePricing(item) {
+        const mode = MenuPricing.pricingMode(item);
+        const details = [MenuPricing.PRICING_MODES[mode].label];
+        if (mode === 'per_platter' && item.serves) {
+            details.push(`serves ${item.serves}`);
+        }
+        if (item.min_quantity > 1) {
+            details.push(`minimum ${item.min_quantity} ${MenuPricing.PRICING_MODES[mode].unit}s`);
+        }
+        return details.join(', ');
+    }
+
+    // Lines are changed by position, as the same dish can be in the cart in more than one portion.
+    // Going below the dish's minimum order removes it.
+    updateQuantity(itemIndex, newQuantity) {
         if (!this.cartData || !this.cartData.items) return;
 
-        const itemIndex = this.cartData.items.findIndex(item => item.dish === dishName);
-        if (itemIndex === -1) return;
+        const item = this.cartData.items[itemIndex];
+        if (!item) return;
 
-        if (newQuantity <= 0) {
+        if (newQuantity < (item.min_quantity || 1)) {
             // Remove item
-            this.removeItem(dishName);
+            this.removeItem(itemIndex);
             return;
         }
 
-        // Update quantity
-        this.cartData.items[itemIndex].quantity = newQuantity;
-        this.cartData.items[itemIndex].totalPrice = this.cartData.items[itemIndex].price * newQuantity;
-        
-        // Recalculate total
-        this.cartData.totalAmount = this.cartData.items.reduce((total, item) => total + item.totalPrice, 0);
+        // Update quantity and re-price
+        item.quantity = newQuantity;
+        this.priceItems();
         
         // Save and re-render
         this.saveCartData();
@@ -118,17 +239,14 @@ class CartSession {
         this.showNotification('Cart updated successfully', 'success');
     }
 
-    removeItem(dishName) {
-        if (!this.cartData || !this.cartData.items) return;
-
-        const itemIndex = this.cartData.items.findIndex(item => item.dish === dishName);
-        if (itemIndex === -1) return;
+    removeItem(itemIndex) {
+        if (!this.cartData || !this.cartData.items || !this.cartData.items[itemIndex]) return;
 
         // Remove item
         this.cartData.items.splice(itemIndex, 1);
         
         // Recalculate total
-        this.cartData.totalAmount = this.cartData.items.reduce((total, item) => total + item.totalPrice, 0);
+        this.priceItems();
         
         // Save and re-render
         this.saveCartData();
@@ -185,10 +303,25 @@ class CartSession {
             });
         }
 
+        // Guest count, in the summary and on the booking form
+        ['summaryGuestCount', 'guestCount'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.setGuestCount(input.value));
+            }
+        });
+
         // Booking form submission
         const cartBookingForm = document.getElementById('cartBookingForm');
         if (cartBookingForm) {
             cartBookingForm.addEventListener('submit', (e) => this.handleBookingSubmission(e));
+
+            // Warn as soon as a requirement clashes with a dish in the cart
+            cartBookingForm.addEventListener('input', (e) => {
+                if (e.target.name === 'dietaryRestrictions' || e.target.id === 'dietaryOther') {
+                    this.renderDietaryWarnings();
+                }
+            });
         }
 
         // Escape key to close modal
@@ -217,6 +350,11 @@ class CartSession {
             tomorrow.setDate(tomorrow.getDate() + 1);
             const minDate = tomorrow.toISOString().split('T')[0];
             dateInput.setAttribute('min', minDate);
+
+            // Tighten the minimum, flag unavailable dates and limit times to working hours
+            if (window.bookingAvailability) {
+                window.bookingAvailability.attach(dateInput, document.getElementById('eventTime'));
+            }
         }
     }
 
@@ -247,6 +385,17 @@ class CartSession {
         const form = event.target;
         const formData = new FormData(form);
 
+        const conflicts = this.getDietaryConflicts();
+        if (conflicts.length > 0) {
+            this.renderDietaryWarnings();
+            const sendAnyway = confirm(
+                'Some dishes in your cart may not suit your dietary requirements:\n\n' +
+                conflicts.map(conflict => `- ${conflict.message}`).join('\n') +
+                '\n\nSend your booking request anyway?'
+            );
+            if (!sendAnyway) return;
+        }
+
         // Prepare booking data
         const bookingData = {
             customer_name: formData.get('customerName'),
@@ -256,8 +405,16 @@ class CartSession {
             event_time: formData.get('eventTime'),
             guest_count: parseInt(formData.get('guestCount')),
             location: formData.get('eventLocation'),
+            dietary_restrictions: this.getDietaryRestrictions(),
             special_requests: formData.get('specialRequests'),
-            selected_dishes: this.cartData.items,
+            selected_dishes: this.cartData.items.map(item => ({
+                id: item.id,
+                dish: item.dish,
+                variant: item.variant,
+                package_id: item.package_id,
+                choices: item.choices,
+                quantity: item.quantity
+            })),
             total_amount: this.cartData.totalAmount,
             booking_source: 'cart_session'
         };
@@ -287,7 +444,8 @@ class CartSession {
 
             if (response.ok) {
                 this.showNotification(
-                    'Booking request sent successfully! We will contact you shortly to confirm your reservation.',
+                    'Booking request sent successfully! We will contact you shortly to confirm your reservation.' +
+                        (result.reference ? ` Your reference is <strong>${escapeHtml(result.reference)}</strong>.` : ''),
                     'success',
                     8000
                 );
@@ -297,6 +455,7 @@ class CartSession {
                 this.cartData = null;
                 this.hideBookingForm();
                 form.reset();
+                this.renderDietaryWarnings();
                 this.renderCart();
                 
             } else {
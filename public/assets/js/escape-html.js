@@ -0,0 +1,14 @@
+/**
+ * HTML escaping for the public and admin pages
+ * Anything typed by a customer or an admin (names, messages, menu items, references) goes through
+ * escapeHtml() before it is put into innerHTML. Load this before the page's own scripts.
+ */
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
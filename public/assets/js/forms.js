@@ -10,6 +10,11 @@ document.addEventListener('DOMContentLoaded', function() {
     tomorrow.setDate(tomorrow.getDate() + 1);
     const minDate = tomorrow.toISOString().split('T')[0];
     dateInput.setAttribute('min', minDate);
+
+    // Tighten the minimum, flag unavailable dates and limit times to working hours
+    if (window.bookingAvailability) {
+      window.bookingAvailability.attach(dateInput, document.getElementById('time'));
+    }
   }
 
   const bookingForm = document.getElementById('catering-form');
@@ -69,7 +74,8 @@ document.addEventListener('DOMContentLoaded', function() {
         if (response.ok) {
           showPopupNotification(
             'Catering Inquiry Sent!',
-            'Thank you! We will contact you shortly to discuss your bespoke menu and confirm all details.',
+            'Thank you! We will contact you shortly to discuss your bespoke menu and confirm all details.' +
+              referenceNote(result.reference),
             'success'
           );
           
@@ -129,7 +135,8 @@ document.addEventListener('DOMContentLoaded', function() {
         if (response.ok) {
           showPopupNotification(
             'Message Sent Successfully!',
-            'Thank you for contacting Private Chef Stefan. We will get back to you shortly.',
+            'Thank you for contacting Private Chef Stefan. We will get back to you shortly.' +
+              referenceNote(result.reference),
             'success'
           );
           this.reset();
@@ -152,6 +159,11 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 });
 
+// Booking reference line for success popups; a confirmation email with the same reference follows
+function referenceNote(reference) {
+  return reference ? `<br>Your reference is <strong>${escapeHtml(reference)}</strong>.` : '';
+}
+
 // Popup notification system
 function showPopupNotification(title, message, type = 'success', duration = 5000) {
   // Remove existing notifications
@@ -260,7 +272,7 @@ function displayMenuSummary(bookingData) {
   const itemsHtml = bookingData.items.map(item => `
     <div class="menu-summary-item d-flex justify-content-between align-items-center mb-2">
       <div>
-        <strong>${item.dish}</strong>
+        <strong>${escapeHtml(item.dish)}${item.variant ? ` (${escapeHtml(item.variant)})` : ''}</strong>
         <span class="text-muted"> x${item.quantity}</span>
       </div>
       <div class="text-end">
@@ -7,6 +7,7 @@ class MenuPage {
     constructor() {
         this.selectedItems = [];
         this.totalAmount = 0;
+        this.guestCount = null;
         
         this.init();
     }
@@ -24,24 +25,50 @@ class MenuPage {
         // Use event delegation for dynamically loaded buttons
         const self = this;
         document.addEventListener('click', function(e) {
+            const packageButton = e.target.closest('.btn-book-package');
+            if (packageButton) {
+                e.preventDefault();
+                self.addPackageToOrder(packageButton);
+                return;
+            }
+
             if (e.target.matches('.btn-book-item') || e.target.closest('.btn-book-item')) {
                 e.preventDefault();
                 const button = e.target.matches('.btn-book-item') ? e.target : e.target.closest('.btn-book-item');
-                const dish = button.dataset.dish;
-                const priceStr = button.dataset.price;
-                // Remove 'R' prefix if present and convert to number
-                const price = parseFloat(priceStr.replace('R', ''));
+                const menuItem = self.menuItemFromButton(button);
                 
-                console.log('Book button clicked:', { dish, priceStr, price });
+                console.log('Book button clicked:', menuItem);
                 
-                if (dish && !isNaN(price)) {
-                    self.addToOrder(dish, price, button);
+                if (menuItem.name && !isNaN(menuItem.price)) {
+                    self.addToOrder(menuItem, self.selectedVariant(button), button);
                 } else {
-                    console.error('Invalid dish data:', { dish, priceStr, price });
+                    console.error('Invalid dish data:', menuItem);
+                }
+            }
+        });
+
+        // Choosing a portion updates the price on the dish's button
+        document.addEventListener('change', function(e) {
+            if (e.target.matches('.menu-item-variant')) {
+                const option = e.target.selectedOptions[0];
+                const button = e.target.closest('.menu-item-content').querySelector('.btn-book-item');
+                const price = button && button.querySelector('.book-price');
+                if (price && option) {
+                    price.textContent = MenuPricing.priceLabel(self.menuItemFromButton(button), option.dataset.price);
                 }
             }
         });
 
+        // Per person dishes and platters are priced for the number of guests
+        const guestInput = document.getElementById('cartGuestCount');
+        if (guestInput) {
+            guestInput.addEventListener('change', () => {
+                this.guestCount = parseInt(guestInput.value, 10) || null;
+                this.selectedItems.forEach(item => this.priceItem(item));
+                this.updateBookingSummary();
+            });
+        }
+
         // Cart controls
         const cartToggle = document.getElementById('cartToggle');
         if (cartToggle) {
@@ -89,22 +116,138 @@ class MenuPage {
         });
     }
 
-    addToOrder(dish, price, buttonElement) {
-        // Check if item already exists
-        const existingItem = this.selectedItems.find(item => item.dish === dish);
+    // The dish's pricing rules, from the data attributes on its button and its portion choices
+    menuItemFromButton(button) {
+        const select = this.variantSelect(button);
+        return {
+            id: button.dataset.id,
+            name: button.dataset.dish,
+            // Remove 'R' prefix if present and convert to number
+            price: parseFloat(String(button.dataset.price).replace('R', '')),
+            pricing_mode: button.dataset.pricingMode,
+            min_quantity: parseInt(button.dataset.minQuantity, 10) || 1,
+            serves: parseInt(button.dataset.serves, 10) || null,
+            variants: select ? [...select.options].map(option => ({ name: option.value, price: parseFloat(option.dataset.price) })) : []
+        };
+    }
+
+    variantSelect(button) {
+        const content = button.closest('.menu-item-content');
+        return content ? content.querySelector('.menu-item-variant') : null;
+    }
+
+    selectedVariant(button) {
+        const select = this.variantSelect(button);
+        return select ? select.value : undefined;
+    }
+
+    // Price a cart line with menu-pricing.js, as the server will. A line that breaks a rule (too
+    // few guests for a per person dish) shows why, as the booking would be turned down.
+    priceItem(item) {
+        const line = MenuPricing.priceLine({ ...item, name: item.dish, price: item.basePrice }, item, this.guestCount);
+        item.warning = line.error || null;
+        if (line.totalPrice !== undefined) {
+            item.price = line.price;
+            item.quantity = line.quantity;
+            item.totalPrice = line.totalPrice;
+        }
+    }
+
+    // A set menu with the dishes served in each course - every dish, or the ones the customer
+    // picked where guests choose. Returns { error } when a choice hasn't been made.
+    packageFromButton(button) {
+        const card = button.closest('.menu-package');
+        const courses = [];
+
+        for (const course of card.querySelectorAll('.menu-package-course')) {
+            const choose = parseInt(course.dataset.choose, 10);
+            const dishes = choose
+                ? [...course.querySelectorAll('.package-choice:checked')].map(input => ({ id: input.value, dish: input.dataset.dish }))
+                : [...course.querySelectorAll('li')].map(li => ({ id: li.dataset.id, dish: li.textContent }));
+
+            if (choose && dishes.length !== choose) {
+                return { error: `Please choose ${choose} of the ${course.dataset.course} for ${button.dataset.dish}` };
+            }
+            courses.push({ name: course.dataset.course, dishes });
+        }
+
+        return {
+            package_id: button.dataset.packageId,
+            name: button.dataset.dish,
+            price: parseFloat(button.dataset.price),
+            min_guests: parseInt(button.dataset.minGuests, 10) || 1,
+            courses
+        };
+    }
+
+    // A set menu is served to every guest like a per person dish. The same menu with the same
+    // choices is one line; different choices are another.
+    addPackageToOrder(buttonElement) {
+        const menuPackage = this.packageFromButton(buttonElement);
+        if (menuPackage.error) {
+            this.showNotification(menuPackage.error, 'warning');
+            return;
+        }
+
+        const choices = menuPackage.courses.flatMap(course => course.dishes.map(dish => dish.id));
+        const existingItem = this.selectedItems.find(item =>
+            item.package_id === menuPackage.package_id && item.choices.join() === choices.join());
+        if (existingItem) {
+            this.showNotification(`${menuPackage.name} is already served to every guest`, 'info');
+            return;
+        }
+
+        const item = {
+            package_id: menuPackage.package_id,
+            dish: menuPackage.name,
+            choices: choices,
+            courses: menuPackage.courses,
+            basePrice: menuPackage.price,
+            pricing_mode: 'per_person',
+            min_quantity: menuPackage.min_guests,
+            variants: [],
+            price: menuPackage.price,
+            quantity: MenuPricing.defaultQuantity({ pricing_mode: 'per_person', min_quantity: menuPackage.min_guests }, this.guestCount)
+        };
+        this.priceItem(item);
+        this.selectedItems.push(item);
+
+        this.updateButtonState(buttonElement, true);
+        this.updateBookingSummary();
+        this.showAddedFeedback(buttonElement);
+
+        console.log(`Added ${menuPackage.name} to order`);
+    }
+
+    addToOrder(menuItem, variant, buttonElement) {
+        // The same dish in the same portion is one line
+        const existingItem = this.selectedItems.find(item => item.id === menuItem.id && item.variant === variant);
         
         if (existingItem) {
+            if (existingItem.pricing_mode === 'per_person') {
+                this.showNotification(`${menuItem.name} is already served to every guest`, 'info');
+                return;
+            }
             // Increase quantity
             existingItem.quantity += 1;
-            existingItem.totalPrice = existingItem.price * existingItem.quantity;
+            this.priceItem(existingItem);
         } else {
-            // Add new item
-            this.selectedItems.push({
-                dish: dish,
-                price: price,
-                quantity: 1,
-                totalPrice: price
-            });
+            // Add new item - the id lets the server price it from the menu. The pricing rules
+            // come along so the cart can re-price it when the guest count changes.
+            const item = {
+                id: menuItem.id,
+                dish: menuItem.name,
+                variant: variant,
+                basePrice: menuItem.price,
+                pricing_mode: MenuPricing.pricingMode(menuItem),
+                min_quantity: menuItem.min_quantity,
+                serves: menuItem.serves,
+                variants: menuItem.variants,
+                price: menuItem.price,
+                quantity: MenuPricing.defaultQuantity(menuItem, this.guestCount)
+            };
+            this.priceItem(item);
+            this.selectedItems.push(item);
         }
 
         // Update button state
@@ -116,35 +259,41 @@ class MenuPage {
         // Show success feedback
         this.showAddedFeedback(buttonElement);
         
-        console.log(`Added ${dish} to order`);
+        console.log(`Added ${menuItem.name} to order`);
     }
 
-    removeFromOrder(dish) {
-        const itemIndex = this.selectedItems.findIndex(item => item.dish === dish);
+    removeFromOrder(index) {
+        const item = this.selectedItems[index];
         
-        if (itemIndex > -1) {
-            this.selectedItems.splice(itemIndex, 1);
+        if (item) {
+            this.selectedItems.splice(index, 1);
             
-            // Reset button state
-            const buttonElement = document.querySelector(`[data-dish="${dish}"]`);
-            if (buttonElement) {
+            // Reset button state once no portion of the dish (or choice of the set menu) is left
+            const buttonElement = item.package_id
+                ? document.querySelector(`.btn-book-package[data-package-id="${item.package_id}"]`)
+                : document.querySelector(`.btn-book-item[data-id="${item.id}"]`);
+            const remaining = item.package_id
+                ? this.selectedItems.some(selected => selected.package_id === item.package_id)
+                : this.selectedItems.some(selected => selected.id === item.id);
+            if (buttonElement && !remaining) {
                 this.updateButtonState(buttonElement, false);
             }
             
             this.updateBookingSummary();
-            console.log(`Removed ${dish} from order`);
+            console.log(`Removed ${item.dish} from order`);
         }
     }
 
-    updateQuantity(dish, newQuantity) {
-        const item = this.selectedItems.find(item => item.dish === dish);
+    // Going below the dish's minimum order removes it
+    updateQuantity(index, newQuantity) {
+        const item = this.selectedItems[index];
         
         if (item) {
-            if (newQuantity <= 0) {
-                this.removeFromOrder(dish);
+            if (newQuantity < (item.min_quantity || 1)) {
+                this.removeFromOrder(index);
             } else {
                 item.quantity = newQuantity;
-                item.totalPrice = item.price * newQuantity;
+                this.priceItem(item);
                 this.updateBookingSummary();
             }
         }
@@ -166,8 +315,8 @@ class MenuPage {
         buttonElement.classList.add('added');
         
         setTimeout(() => {
-            const item = this.selectedItems.find(item => item.dish === buttonElement.dataset.dish);
-            if (item && item.quantity > 1) {
+            const item = this.selectedItems.find(item => item.id === buttonElement.dataset.id);
+            if (item && item.quantity > 1 && item.pricing_mode !== 'per_person') {
                 buttonElement.innerHTML = `<i class="bi bi-check-circle"></i> Added (${item.quantity})`;
             }
         }, 1000);
@@ -190,7 +339,8 @@ class MenuPage {
         
         // Calculate total
         this.totalAmount = this.selectedItems.reduce((total, item) => total + item.totalPrice, 0);
-        const totalItems = this.selectedItems.reduce((total, item) => total + item.quantity, 0);
+        // A per person dish counts once, not once per guest
+        const totalItems = this.selectedItems.reduce((total, item) => total + (item.pricing_mode === 'per_person' ? 1 : item.quantity), 0);
         
         // Update cart button
         if (cartButton && cartBadge && cartBtnTotal) {
@@ -217,21 +367,26 @@ class MenuPage {
         
         // Update items list
         if (cartItems) {
-            cartItems.innerHTML = this.selectedItems.map(item => `
+            cartItems.innerHTML = this.selectedItems.map((item, index) => `
                 <div class="cart-item">
                     <div class="cart-item-info">
-                        <div class="cart-item-name">${item.dish}</div>
-                        <div class="cart-item-price">R${item.price.toLocaleString()} each</div>
+                        <div class="cart-item-name">${escapeHtml(MenuPricing.dishName(item))}</div>
+                        <div class="cart-item-price">${item.pricing_mode === 'per_person' || item.pricing_mode === 'per_platter' ? MenuPricing.priceLabel(item, item.price) : `R${item.price.toLocaleString()} each`}</div>
+                        ${item.warning ? `<div class="cart-item-warning"><i class="bi bi-exclamation-triangle"></i> ${escapeHtml(item.warning)}</div>` : ''}
                     </div>
                     <div class="cart-item-controls">
-                        <button class="btn btn-sm btn-quantity" onclick="menuPage.updateQuantity('${item.dish}', ${item.quantity - 1})">
+                        ${item.pricing_mode === 'per_person' ? `
+                        <span class="cart-item-quantity">${item.quantity} guests</span>
+                        ` : `
+                        <button class="btn btn-sm btn-quantity" onclick="menuPage.updateQuantity(${index}, ${item.quantity - 1})">
                             <i class="bi bi-dash"></i>
                         </button>
                         <span class="cart-item-quantity">${item.quantity}</span>
-                        <button class="btn btn-sm btn-quantity" onclick="menuPage.updateQuantity('${item.dish}', ${item.quantity + 1})">
+                        <button class="btn btn-sm btn-quantity" onclick="menuPage.updateQuantity(${index}, ${item.quantity + 1})">
                             <i class="bi bi-plus"></i>
                         </button>
-                        <button class="btn btn-sm btn-remove" onclick="menuPage.removeFromOrder('${item.dish}')">
+                        `}
+                        <button class="btn btn-sm btn-remove" onclick="menuPage.removeFromOrder(${index})">
                             <i class="bi bi-x"></i>
                         </button>
                     </div>
@@ -267,6 +422,7 @@ class MenuPage {
         const bookingData = {
             items: this.selectedItems,
             totalAmount: this.totalAmount,
+            guestCount: this.guestCount,
             timestamp: new Date().toISOString(),
             source: 'menu'
         };
@@ -288,7 +444,7 @@ class MenuPage {
         notification.innerHTML = `
             <div class="notification-content">
                 <i class="bi bi-${type === 'success' ? 'check-circle' : type === 'warning' ? 'exclamation-triangle' : 'info-circle'}"></i>
-                <span>${message}</span>
+                <span>${escapeHtml(message)}</span>
             </div>
         `;
         
@@ -353,11 +509,16 @@ class MenuPage {
                 const data = JSON.parse(savedData);
                 this.selectedItems = data.items || [];
                 this.totalAmount = data.totalAmount || 0;
+                this.guestCount = data.guestCount || null;
+                const guestInput = document.getElementById('cartGuestCount');
+                if (guestInput && this.guestCount) {
+                    guestInput.value = this.guestCount;
+                }
                 this.updateBookingSummary();
                 
                 // Update button states
                 this.selectedItems.forEach(item => {
-                    const button = document.querySelector(`[data-dish="${item.dish}"]`);
+                    const button = document.querySelector(`.btn-book-item[data-id="${item.id}"]`);
                     if (button) {
                         this.updateButtonState(button, true);
                     }
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { dishName } = require('./menu-pricing');
+
+// Quote defaults. VAT is South Africa's standard rate unless overridden.
+const VAT_RATE = process.env.QUOTE_VAT_RATE !== undefined
+    ? parseFloat(process.env.QUOTE_VAT_RATE)
+    : 0.15;
+const DEFAULT_DEPOSIT_PERCENTAGE = 50;
+const DEFAULT_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 14;
+
+const QUOTE_LINE_CATEGORIES = ['dishes', 'staff', 'travel', 'equipment', 'other'];
+
+// draft -> sent -> accepted; sending a newer version marks older sent ones superseded
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'superseded'];
+
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Unguessable token for the client-facing quote link
+function generateQuoteToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Clean up line items from the admin editor. Returns { items } or { error }.
+function normaliseLineItems(lineItems) {
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        return { error: 'At least one line item is required' };
+    }
+
+    const items = [];
+    for (const item of lineItems) {
+        const description = typeof item.description === 'string' ? item.description.trim() : '';
+        const quantity = parseFloat(item.quantity);
+        const unitPrice = parseFloat(item.unit_price);
+        const category = item.category || 'other';
+
+        if (!description) {
+            return { error: 'Every line item needs a description' };
+        }
+        if (!QUOTE_LINE_CATEGORIES.includes(category)) {
+            return { error: `Line item category must be one of: ${QUOTE_LINE_CATEGORIES.join(', ')}` };
+        }
+        if (!(quantity > 0) || isNaN(unitPrice) || unitPrice < 0) {
+            return { error: `Invalid quantity or price for "${description}"` };
+        }
+
+        items.push({
+            category,
+            description,
+            quantity,
+            unit_price: roundCurrency(unitPrice),
+            total: roundCurrency(quantity * unitPrice)
+        });
+    }
+
+    return { items };
+}
+
+// Prices are quoted excluding VAT; VAT and the deposit are worked out on top
+function calculateQuoteTotals(items, depositPercentage, vatRate = VAT_RATE) {
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.total, 0));
+    const vatAmount = roundCurrency(subtotal * vatRate);
+    const total = roundCurrency(subtotal + vatAmount);
+
+    return {
+        subtotal,
+        vat_rate: vatRate,
+        vat_amount: vatAmount,
+        total,
+        deposit_percentage: depositPercentage,
+        deposit_amount: roundCurrency(total * depositPercentage / 100)
+    };
+}
+
+// Starting line items for a first quote, taken from the dishes the client picked
+function lineItemsFromBooking(booking) {
+    let dishes = [];
+    try {
+        dishes = JSON.parse(booking.selected_dishes || '[]');
+    } catch (error) {
+        dishes = [];
+    }
+    if (!Array.isArray(dishes)) return [];
+
+    return dishes
+        .filter(dish => dish && dish.dish)
+        .map(dish => {
+            const unitPrice = parseFloat(String(dish.price || '').replace(/[^0-9.]/g, '')) || 0;
+            const quantity = parseInt(dish.quantity, 10) || 1;
+            return {
+                category: 'dishes',
+                description: dishName(dish),
+                quantity,
+                unit_price: unitPrice,
+                total: roundCurrency(unitPrice * quantity)
+            };
+        });
+}
+
+module.exports = {
+    VAT_RATE,
+    DEFAULT_DEPOSIT_PERCENTAGE,
+    DEFAULT_VALIDITY_DAYS,
+    QUOTE_LINE_CATEGORIES,
+    QUOTE_STATUSES,
+    generateQuoteToken,
+    normaliseLineItems,
+    calculateQuoteTotals,
+    lineItemsFromBooking
+};
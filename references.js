@@ -0,0 +1,46 @@
+const { query } = require('./database');
+
+const REFERENCE_PREFIX = 'CS';
+const CONTACT_REFERENCE_PREFIX = 'MSG';
+const TIME_ZONE = 'Africa/Johannesburg';
+
+// Next reference from one of the per-year counter tables. Numbers restart every year.
+// Returns null if the counter can't be reached - a missing reference shouldn't lose a lead.
+async function nextReference(prefix, counterTable) {
+    const year = parseInt(new Date().toLocaleDateString('en-CA', { timeZone: TIME_ZONE }).slice(0, 4), 10);
+
+    try {
+        const result = await query(`
+            INSERT INTO ${counterTable} (year, last_number)
+            VALUES ($1, 1)
+            ON CONFLICT (year) DO UPDATE SET last_number = ${counterTable}.last_number + 1
+            RETURNING last_number
+        `, [year]);
+
+        return `${prefix}-${year}-${String(result.rows[0].last_number).padStart(4, '0')}`;
+    } catch (err) {
+        console.error(`Error generating ${prefix} reference:`, err);
+        return null;
+    }
+}
+
+// Next booking reference, e.g. CS-2026-0142
+function nextBookingReference() {
+    return nextReference(REFERENCE_PREFIX, 'booking_reference_counters');
+}
+
+// Contact messages have their own series, e.g. MSG-2026-0031, so they never use up booking
+// numbers that the booking status lookup can't find
+function nextContactReference() {
+    return nextReference(CONTACT_REFERENCE_PREFIX, 'contact_reference_counters');
+}
+
+function isValidReference(reference) {
+    return typeof reference === 'string' && /^CS-\d{4}-\d{4,}$/i.test(reference.trim());
+}
+
+module.exports = {
+    nextBookingReference,
+    nextContactReference,
+    isValidReference
+};
@@ -0,0 +1,62 @@
+const { query } = require('./database');
+
+// Admin roles, most access first
+//   owner   - everything, and the only role that can manage users
+//   manager - runs the business: bookings, quotes, schedule, inbox, email, menu and blog
+//   editor  - blog only
+//   staff   - can look at bookings and the schedule, but not change them
+const USER_ROLES = ['owner', 'manager', 'editor', 'staff'];
+
+// What each role can do. Routes are guarded with requireRole(...ROLE_ACCESS.<permission>), and the
+// admin pages get the signed-in user's permissions from /api/auth/me to hide what they can't do.
+const ROLE_ACCESS = {
+    manage_users: ['owner'],
+    view_audit: ['owner'],
+    view_bookings: ['owner', 'manager', 'staff'],
+    manage_bookings: ['owner', 'manager'],
+    view_schedule: ['owner', 'manager', 'staff'],
+    manage_schedule: ['owner', 'manager'],
+    manage_inbox: ['owner', 'manager'],
+    manage_email: ['owner', 'manager'],
+    manage_menu: ['owner', 'manager'],
+    manage_blog: ['owner', 'manager', 'editor']
+};
+
+function permissionsFor(role) {
+    return Object.keys(ROLE_ACCESS).filter(permission => ROLE_ACCESS[permission].includes(role));
+}
+
+// Only lets the request through for the given roles. The role is read from the users table rather
+// than the session, so a changed role or a deactivated account takes effect straight away.
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const sessionUser = req.session && req.session.user;
+            const result = sessionUser
+                ? await query('SELECT role FROM users WHERE id = $1 AND is_active = true', [sessionUser.id])
+                : { rows: [] };
+
+            if (result.rows.length === 0) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            const { role } = result.rows[0];
+            sessionUser.role = role;
+
+            if (!roles.includes(role)) {
+                return res.status(403).json({ error: 'You do not have permission to do this', role });
+            }
+            next();
+        } catch (err) {
+            console.error('Error checking user role:', err);
+            res.status(500).json({ error: 'Error checking permissions' });
+        }
+    };
+}
+
+module.exports = {
+    USER_ROLES,
+    ROLE_ACCESS,
+    permissionsFor,
+    requireRole
+};
@@ -0,0 +1,125 @@
+// Limits for text submitted through the public forms. Every string in the payload is
+// trimmed, checked against its field's limit and rejected if it carries control characters.
+// Deep enough for a set menu's choices (payload > selected_dishes > line > choices)
+const MAX_NESTING_DEPTH = 4;
+
+// C0 controls, DEL and C1 controls. Multi-line fields may still contain tabs and line breaks.
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/;
+const LINE_BREAKS = /[\t\r\n]/;
+// Bidirectional overrides and zero-width characters can make a link read as something else
+const INVISIBLE_CHARACTERS = /[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/;
+// Names, subjects and the like never need angle brackets. Multi-line fields may ("<3"), the templates escape them.
+const MARKUP_CHARACTERS = /[<>]/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields shared by the contact, table, catering, cart, portal and quote forms.
+// multiline fields allow line breaks; everything else must fit on one line.
+const FIELD_RULES = {
+    name: { label: 'Name', maxLength: 100 },
+    customer_name: { label: 'Name', maxLength: 100 },
+    accepted_by_name: { label: 'Name', maxLength: 100 },
+    email: { label: 'Email', maxLength: 254, email: true },
+    customer_email: { label: 'Email', maxLength: 254, email: true },
+    phone: { label: 'Phone', maxLength: 30 },
+    customer_phone: { label: 'Phone', maxLength: 30 },
+    subject: { label: 'Subject', maxLength: 150 },
+    message: { label: 'Message', maxLength: 5000, multiline: true },
+    date: { label: 'Date', maxLength: 10 },
+    event_date: { label: 'Event date', maxLength: 10 },
+    time: { label: 'Time', maxLength: 10 },
+    event_time: { label: 'Event time', maxLength: 10 },
+    people: { label: 'Number of people', maxLength: 5 },
+    guest_count: { label: 'Guest count', maxLength: 5 },
+    type: { label: 'Request type', maxLength: 20 },
+    event_type: { label: 'Event type', maxLength: 100 },
+    occasion: { label: 'Occasion', maxLength: 200 },
+    location: { label: 'Location', maxLength: 500, multiline: true },
+    meal_type: { label: 'Meal type', maxLength: 100 },
+    food_style: { label: 'Food style', maxLength: 100 },
+    booking_source: { label: 'Booking source', maxLength: 50 },
+    dish: { label: 'Dish', maxLength: 200 },
+    dietary_requirements: { label: 'Dietary requirements', maxLength: 1000, multiline: true },
+    dietary_restrictions: { label: 'Dietary restrictions', maxLength: 1000, multiline: true },
+    special_requests: { label: 'Special requests', maxLength: 2000, multiline: true },
+    additional_info: { label: 'Additional information', maxLength: 2000, multiline: true }
+};
+
+// Anything a form sends that isn't listed above
+const DEFAULT_RULE = { label: 'Field', maxLength: 500 };
+
+function hasRule(key) {
+    return Object.prototype.hasOwnProperty.call(FIELD_RULES, key);
+}
+
+function ruleFor(key) {
+    return hasRule(key) ? FIELD_RULES[key] : DEFAULT_RULE;
+}
+
+// Returns the cleaned string, or { error } if the value breaks the field's rule
+function sanitizeText(value, rule) {
+    const text = value.trim();
+
+    if (CONTROL_CHARACTERS.test(text) || INVISIBLE_CHARACTERS.test(text) || (!rule.multiline && LINE_BREAKS.test(text))) {
+        return { error: `${rule.label} contains characters that are not allowed` };
+    }
+    if (!rule.multiline && MARKUP_CHARACTERS.test(text)) {
+        return { error: `${rule.label} cannot contain < or >` };
+    }
+    if (text.length > rule.maxLength) {
+        return { error: `${rule.label} is too long (maximum ${rule.maxLength} characters)` };
+    }
+    if (rule.email && text && !EMAIL_PATTERN.test(text)) {
+        return { error: 'Please enter a valid email address' };
+    }
+
+    return { value: text };
+}
+
+// Clean a form payload. Returns { values } with every string trimmed, or { error, field }
+// for the first value that fails. Numbers, booleans and nulls pass through unchanged.
+function sanitizePayload(payload, key = null, depth = 0) {
+    if (typeof payload === 'string') {
+        const result = sanitizeText(payload, ruleFor(key));
+        return result.error ? { error: result.error, field: key } : { values: result.value };
+    }
+
+    if (payload === null || typeof payload !== 'object') {
+        return { values: payload };
+    }
+
+    if (depth >= MAX_NESTING_DEPTH) {
+        return { error: 'Submitted data is nested too deeply', field: key };
+    }
+
+    if (Array.isArray(payload)) {
+        const values = [];
+        for (const item of payload) {
+            const result = sanitizePayload(item, key, depth + 1);
+            if (result.error) return result;
+            values.push(result.values);
+        }
+        return { values };
+    }
+
+    const values = {};
+    for (const [name, value] of Object.entries(payload)) {
+        // Copying this key onto a plain object would replace its prototype. No form sends it.
+        if (name === '__proto__') {
+            return { error: 'Submitted data contains a field that is not allowed', field: name };
+        }
+        if (hasRule(name) && value !== null && typeof value === 'object') {
+            return { error: `${FIELD_RULES[name].label} must be text`, field: name };
+        }
+        const result = sanitizePayload(value, name, depth + 1);
+        if (result.error) return result;
+        values[name] = result.values;
+    }
+    return { values };
+}
+
+module.exports = {
+    FIELD_RULES,
+    sanitizeText,
+    sanitizePayload
+};
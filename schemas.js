@@ -0,0 +1,455 @@
+const { SCHEDULE_EXCEPTION_TYPES } = require('./availability');
+const { QUOTE_LINE_CATEGORIES } = require('./quotes');
+const { CHANGE_REQUEST_TYPES, CHANGE_REQUEST_STATUSES, MAX_GUEST_COUNT } = require('./portal');
+const { MAX_DISH_QUANTITY } = require('./pricing');
+const { PRICING_MODES } = require('./menu-pricing');
+const { OUTBOX_STATUSES } = require('./email-outbox');
+const { BOOKING_SCHEMA } = require('./booking-intake');
+const { USER_ROLES } = require('./roles');
+const { AUDIT_ENTITY_TYPES } = require('./audit');
+const { PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH } = require('./passwords');
+const { ALLERGENS, DIETARY_TAGS } = require('./dietary');
+
+// Request schemas for the API routes, checked by validateRequest() in server.js and served from
+// GET /api/schemas so api-client.js can check a request before sending it. Each entry names the
+// params, query and body a route reads. Fields a schema doesn't list are passed through untouched.
+
+const BOOKING_STATUSES = ['pending', 'quoted', 'confirmed', 'completed', 'cancelled'];
+const BLOG_POST_STATUSES = ['draft', 'published', 'archived'];
+const CONTACT_FILTERS = ['open', 'unread', 'archived', 'all'];
+const MAX_REPLY_LENGTH = 10000;
+
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+const COLOR_PATTERN = '^#[0-9a-fA-F]{6}$';
+const TOKEN_PATTERN = '^[0-9a-f]{48}$';
+const SESSION_ID_PATTERN = '^[0-9a-f]{32}$';
+const SLUG_PATTERN = '^[a-z0-9-]+$';
+
+function object(properties, required = []) {
+    return { type: 'object', required, properties };
+}
+
+function text(title, maxLength, extra = {}) {
+    return { title, type: 'string', maxLength, ...extra };
+}
+
+function date(title) {
+    return { title, type: 'string', format: 'date' };
+}
+
+function time(title) {
+    return { title, type: 'string', pattern: TIME_PATTERN, patternMessage: `${title} must be a time in the format HH:MM` };
+}
+
+function integer(title, minimum, maximum) {
+    return { title, type: 'integer', minimum, maximum };
+}
+
+// Older tables use text ids (the default categories are 'appetizers', 'mains'...), newer ones UUIDs
+const ID_PARAMS = object({ id: text('Id', 255) }, ['id']);
+const UUID_PARAMS = object({ id: { title: 'Id', type: 'string', format: 'uuid' } }, ['id']);
+const TOKEN_PARAMS = object({ token: text('Link', 48, { pattern: TOKEN_PATTERN, patternMessage: 'This link is invalid' }) }, ['token']);
+
+const PAGINATION = {
+    page: integer('Page', 1, 10000),
+    search: text('Search', 200)
+};
+
+const MENU_PACKAGE_FIELDS = {
+    name: text('Name', 200, { minLength: 1 }),
+    description: text('Description', 2000),
+    price_per_person: { title: 'Price per person', type: 'number', minimum: 0, maximum: 1000000 },
+    min_guests: integer('Minimum guests', 1, MAX_GUEST_COUNT),
+    available: { title: 'Available', type: 'boolean' },
+    sort_order: integer('Display order', 0, 1000),
+    courses: {
+        title: 'Courses',
+        type: 'array',
+        minItems: 1,
+        maxItems: 12,
+        items: object({
+            name: text('Course name', 100, { minLength: 1 }),
+            choose: integer('Dishes to choose', 1, 20),
+            items: { title: 'Dishes', type: 'array', minItems: 1, maxItems: 20, items: text('Menu item id', 255) }
+        }, ['name', 'items'])
+    }
+};
+
+const CATEGORY_FIELDS = {
+    name: text('Category name', 100, { minLength: 1 }),
+    description: text('Description', 1000),
+    color: text('Colour', 7, { pattern: COLOR_PATTERN, patternMessage: 'Colour must be a hex colour such as #3498db' }),
+    icon: text('Icon', 100),
+    display_order: integer('Display order', 0, 1000)
+};
+
+const MENU_ITEM_FIELDS = {
+    name: text('Name', 200, { minLength: 1 }),
+    description: text('Description', 2000),
+    price: { title: 'Price', type: 'number', minimum: 0, maximum: 1000000 },
+    category_id: text('Category', 255),
+    available: { title: 'Available', type: 'boolean' },
+    featured: { title: 'Featured', type: 'boolean' },
+    allergens: {
+        title: 'Allergens',
+        type: 'array',
+        maxItems: Object.keys(ALLERGENS).length,
+        items: { title: 'Allergen', type: 'string', enum: Object.keys(ALLERGENS) }
+    },
+    dietary_tags: {
+        title: 'Dietary labels',
+        type: 'array',
+        maxItems: Object.keys(DIETARY_TAGS).length,
+        items: { title: 'Dietary label', type: 'string', enum: Object.keys(DIETARY_TAGS) }
+    },
+    pricing_mode: { title: 'Pricing', type: 'string', enum: Object.keys(PRICING_MODES) },
+    min_quantity: integer('Minimum order', 1, MAX_DISH_QUANTITY),
+    serves: integer('Serves', 1, MAX_GUEST_COUNT),
+    variants: {
+        title: 'Portions',
+        type: 'array',
+        maxItems: 10,
+        items: object({
+            name: text('Portion name', 100, { minLength: 1 }),
+            price: { title: 'Portion price', type: 'number', minimum: 0, maximum: 1000000 }
+        }, ['name', 'price'])
+    }
+};
+
+const USER_FIELDS = {
+    first_name: text('First name', 100, { minLength: 1 }),
+    last_name: text('Last name', 100, { minLength: 1 }),
+    email: text('Email', 254, { format: 'email' }),
+    role: { title: 'Role', type: 'string', enum: USER_ROLES },
+    is_active: { title: 'Active', type: 'boolean' },
+    two_factor_required: { title: 'Require two-factor sign-in', type: 'boolean' }
+};
+
+const QUOTE_FIELDS = {
+    line_items: {
+        title: 'Line items',
+        type: 'array',
+        minItems: 1,
+        maxItems: 100,
+        items: object({
+            category: { title: 'Category', type: 'string', enum: QUOTE_LINE_CATEGORIES },
+            description: text('Description', 500, { minLength: 1 }),
+            quantity: { title: 'Quantity', type: 'number', exclusiveMinimum: 0, maximum: 100000 },
+            unit_price: { title: 'Unit price', type: 'number', minimum: 0, maximum: 1000000 }
+        }, ['description', 'quantity', 'unit_price'])
+    },
+    deposit_percentage: { title: 'Deposit percentage', type: 'number', minimum: 0, maximum: 100 },
+    valid_until: date('Valid until'),
+    notes: text('Notes', 2000)
+};
+
+const SCHEDULE_EXCEPTION_BODY = {
+    ...object({
+        start_date: date('Start date'),
+        end_date: date('End date'),
+        type: { title: 'Type', type: 'string', enum: SCHEDULE_EXCEPTION_TYPES },
+        start_time: time('Start time'),
+        end_time: time('End time'),
+        reason: text('Reason', 500)
+    }, ['start_date']),
+    allOf: [
+        {
+            if: object({ type: { const: 'custom_hours' } }, ['type']),
+            then: { required: ['start_time', 'end_time'] }
+        }
+    ]
+};
+
+const BLOG_POST_BODY = object({
+    title: text('Title', 255),
+    content: text('Content', 200000),
+    excerpt: text('Excerpt', 1000),
+    category_id: { title: 'Category', type: 'string', format: 'uuid' },
+    status: { title: 'Status', type: 'string', enum: BLOG_POST_STATUSES },
+    featured_image: text('Featured image', 500),
+    seo_title: text('SEO title', 255),
+    seo_description: text('SEO description', 320),
+    seo_keywords: text('SEO keywords', 500),
+    tags: { title: 'Tags', type: 'array', maxItems: 30, items: text('Tag', 50) }
+}, ['title', 'content']);
+
+// A password being set. The rest of the policy is checked by passwordProblems() in passwords.js.
+function newPassword(title) {
+    return text(title, PASSWORD_MAX_LENGTH, { minLength: PASSWORD_MIN_LENGTH });
+}
+
+const TWO_FACTOR_CODE = text('Code', 20, { minLength: 6 });
+const SESSION_ID = text('Session', 32, { pattern: SESSION_ID_PATTERN, patternMessage: 'Session not found' });
+
+const ADMIN_NOTE_BODY = object({ admin_note: text('Note', 1000) });
+
+const SCHEMAS = {
+    // Authentication
+    login: {
+        body: object({
+            email: text('Email', 254),
+            password: text('Password', 200)
+        }, ['email', 'password'])
+    },
+    forgotPassword: {
+        body: object({ email: text('Email', 254, { format: 'email' }) }, ['email'])
+    },
+    checkResetToken: { params: TOKEN_PARAMS },
+    resetPassword: {
+        params: TOKEN_PARAMS,
+        body: object({ password: newPassword('Password') }, ['password'])
+    },
+    changePassword: {
+        body: object({
+            current_password: text('Current password', 200),
+            new_password: newPassword('New password')
+        }, ['current_password', 'new_password'])
+    },
+    // A code from the authenticator app, or a recovery code where the route accepts one
+    loginTwoFactor: { body: object({ code: TWO_FACTOR_CODE }, ['code']) },
+    enableTwoFactor: { body: object({ code: TWO_FACTOR_CODE }, ['code']) },
+    disableTwoFactor: {
+        body: object({ password: text('Password', 200), code: TWO_FACTOR_CODE }, ['password', 'code'])
+    },
+    regenerateRecoveryCodes: { body: object({ code: TWO_FACTOR_CODE }, ['code']) },
+    endOwnSession: { params: object({ sid: SESSION_ID }, ['sid']) },
+
+    // Categories and menu
+    createCategory: { body: object(CATEGORY_FIELDS, ['name']) },
+    updateCategory: { params: ID_PARAMS, body: object(CATEGORY_FIELDS) },
+    deleteCategory: { params: ID_PARAMS },
+    listMenuItems: {
+        query: object({
+            dietary: { ...MENU_ITEM_FIELDS.dietary_tags, title: 'Dietary' },
+            free_from: { ...MENU_ITEM_FIELDS.allergens, title: 'Free from' }
+        })
+    },
+    createMenuItem: { body: object(MENU_ITEM_FIELDS, ['name', 'price']) },
+    updateMenuItem: { params: ID_PARAMS, body: object(MENU_ITEM_FIELDS, ['name', 'price']) },
+    deleteMenuItem: { params: ID_PARAMS },
+    createMenuPackage: { body: object(MENU_PACKAGE_FIELDS, ['name', 'price_per_person', 'courses']) },
+    updateMenuPackage: { params: UUID_PARAMS, body: object(MENU_PACKAGE_FIELDS, ['name', 'price_per_person', 'courses']) },
+    deleteMenuPackage: { params: UUID_PARAMS },
+
+    // Gallery
+    uploadGalleryImages: {
+        body: object({ titles: { title: 'Titles', type: 'array', maxItems: 10, items: text('Title', 255) } })
+    },
+    updateGalleryImage: {
+        params: ID_PARAMS,
+        body: object({ title: text('Title', 255), description: text('Description', 2000) }, ['title'])
+    },
+    deleteGalleryImage: { params: ID_PARAMS },
+
+    // Users
+    updateUser: { params: ID_PARAMS, body: object(USER_FIELDS) },
+    deleteUser: { params: ID_PARAMS },
+    resetUserTwoFactor: { params: ID_PARAMS },
+
+    // Invitations
+    createInvite: {
+        body: object({
+            email: text('Email', 254, { format: 'email' }),
+            role: { title: 'Role', type: 'string', enum: USER_ROLES }
+        }, ['email', 'role'])
+    },
+    getInvite: { params: UUID_PARAMS },
+    checkInvite: { params: TOKEN_PARAMS },
+    acceptInvite: {
+        params: TOKEN_PARAMS,
+        body: object({
+            first_name: USER_FIELDS.first_name,
+            last_name: USER_FIELDS.last_name,
+            password: newPassword('Password')
+        }, ['first_name', 'last_name', 'password'])
+    },
+    getUserSessions: { params: ID_PARAMS },
+    endUserSession: { params: object({ id: text('Id', 255), sid: SESSION_ID }, ['id', 'sid']) },
+
+    // Sign-in history
+    loginAttempts: {
+        query: object({
+            page: integer('Page', 1, 10000),
+            limit: integer('Limit', 1, 100),
+            search: text('Search', 255),
+            success: { title: 'Result', type: 'boolean' }
+        })
+    },
+
+    // Audit log
+    auditLog: {
+        query: object({
+            page: integer('Page', 1, 10000),
+            limit: integer('Limit', 1, 100),
+            entity_type: { title: 'Entity', type: 'string', enum: AUDIT_ENTITY_TYPES },
+            entity_id: text('Entity id', 255),
+            user_id: text('User', 255),
+            action: text('Action', 50),
+            from: date('From'),
+            to: date('To')
+        })
+    },
+
+    // Bookings
+    submitBooking: { body: BOOKING_SCHEMA },
+    getBooking: { params: ID_PARAMS },
+    updateBooking: {
+        params: ID_PARAMS,
+        body: object({
+            status: { title: 'Status', type: 'string', enum: BOOKING_STATUSES },
+            total_amount: { title: 'Total amount', type: 'number', minimum: 0, maximum: 10000000 },
+            additional_info: text('Notes', 5000),
+            status_note: text('Status note', 500)
+        })
+    },
+    deleteBooking: { params: ID_PARAMS },
+    bookingStatus: {
+        query: object({
+            reference: text('Booking reference', 20),
+            email: text('Email', 254)
+        }, ['reference', 'email'])
+    },
+
+    // Quotes
+    createQuote: { params: ID_PARAMS, body: object(QUOTE_FIELDS) },
+    updateQuote: { params: UUID_PARAMS, body: object(QUOTE_FIELDS) },
+    getQuoteById: { params: UUID_PARAMS },
+    getQuote: { params: TOKEN_PARAMS },
+    acceptQuote: {
+        params: TOKEN_PARAMS,
+        body: object({ accepted_by_name: text('Your name', 100) }, ['accepted_by_name'])
+    },
+
+    // Customer portal and change requests
+    getPortalBooking: { params: TOKEN_PARAMS },
+    createChangeRequest: {
+        params: TOKEN_PARAMS,
+        body: object({
+            type: { title: 'Request type', type: 'string', enum: CHANGE_REQUEST_TYPES },
+            event_date: date('Date'),
+            event_time: time('Time'),
+            guest_count: integer('Guest count', 1, MAX_GUEST_COUNT),
+            selected_dishes: {
+                title: 'Selected dishes',
+                type: 'array',
+                maxItems: 100,
+                items: object({
+                    id: text('Menu item id', 100),
+                    variant: text('Portion', 100),
+                    package_id: { title: 'Set menu id', type: 'string', format: 'uuid' },
+                    choices: { title: 'Set menu choices', type: 'array', maxItems: 100, items: text('Menu item id', 100) },
+                    quantity: integer('Quantity', 1, MAX_DISH_QUANTITY)
+                }, ['quantity'])
+            },
+            message: text('Message', 2000)
+        }, ['type'])
+    },
+    listChangeRequests: {
+        query: object({ status: { title: 'Status', type: 'string', enum: CHANGE_REQUEST_STATUSES } })
+    },
+    reviewChangeRequest: { params: UUID_PARAMS, body: ADMIN_NOTE_BODY },
+
+    // Availability and schedule
+    availability: {
+        query: object({
+            month: text('Month', 7, { pattern: '^\\d{4}-(0[1-9]|1[0-2])$', patternMessage: 'Month is required in YYYY-MM format' })
+        }, ['month'])
+    },
+    listScheduleExceptions: { query: object({ from: date('From'), to: date('To') }) },
+    createScheduleException: { body: SCHEDULE_EXCEPTION_BODY },
+    updateScheduleException: { params: UUID_PARAMS, body: SCHEDULE_EXCEPTION_BODY },
+    deleteScheduleException: { params: UUID_PARAMS },
+    updateWorkingHours: {
+        body: object({
+            working_hours: {
+                title: 'Working hours',
+                type: 'array',
+                minItems: 1,
+                maxItems: 7,
+                items: object({
+                    weekday: integer('Weekday', 0, 6),
+                    is_working: { title: 'Working', type: 'boolean' },
+                    start_time: time('Start time'),
+                    end_time: time('End time')
+                }, ['weekday', 'start_time', 'end_time'])
+            }
+        }, ['working_hours'])
+    },
+
+    // Contact form and inbox
+    contact: {
+        body: object({
+            name: text('Name', 100),
+            email: text('Email', 254, { format: 'email' }),
+            subject: text('Subject', 150),
+            message: text('Message', 5000)
+        }, ['name', 'email', 'subject', 'message'])
+    },
+    listContacts: {
+        query: object({
+            status: { title: 'Status', type: 'string', enum: CONTACT_FILTERS },
+            search: text('Search', 200),
+            assigned_to: text('Assigned to', 255)
+        })
+    },
+    getContact: { params: UUID_PARAMS },
+    updateContact: {
+        params: UUID_PARAMS,
+        body: object({
+            read: { title: 'Read', type: 'boolean' },
+            archived: { title: 'Archived', type: 'boolean' },
+            assigned_to: text('Assigned to', 255)
+        })
+    },
+    replyToContact: { params: UUID_PARAMS, body: object({ message: text('Reply', MAX_REPLY_LENGTH) }, ['message']) },
+
+    // Email
+    previewEmailTemplate: {
+        params: object({ name: text('Template', 100, { pattern: SLUG_PATTERN }) }, ['name']),
+        query: object({ format: { title: 'Format', type: 'string', enum: ['html', 'json', 'text'] } })
+    },
+    sentEmails: { query: object({ to: text('To', 254) }) },
+    emailOutbox: { query: object({ status: { title: 'Status', type: 'string', enum: OUTBOX_STATUSES } }) },
+    resendEmail: { params: UUID_PARAMS },
+
+    // Blog
+    blogPosts: {
+        query: object({
+            ...PAGINATION,
+            limit: integer('Limit', 1, 50),
+            category: text('Category', 100),
+            // Drafts are only listed to admins
+            status: { title: 'Status', type: 'string', enum: ['published'] },
+            author: text('Author', 255)
+        })
+    },
+    blogPost: { params: object({ slug: text('Post', 255, { pattern: SLUG_PATTERN }) }, ['slug']) },
+    recentBlogPosts: { query: object({ limit: integer('Limit', 1, 20) }) },
+    adminBlogPosts: {
+        query: object({
+            ...PAGINATION,
+            limit: integer('Limit', 1, 100),
+            status: { title: 'Status', type: 'string', enum: BLOG_POST_STATUSES },
+            category: { title: 'Category', type: 'string', format: 'uuid' }
+        })
+    },
+    createBlogPost: { body: BLOG_POST_BODY },
+    updateBlogPost: { params: UUID_PARAMS, body: BLOG_POST_BODY },
+    adminBlogPost: { params: UUID_PARAMS },
+    createBlogCategory: {
+        body: object({
+            name: text('Category name', 100),
+            description: text('Description', 1000),
+            color: CATEGORY_FIELDS.color,
+            display_order: CATEGORY_FIELDS.display_order
+        }, ['name'])
+    }
+};
+
+module.exports = {
+    BOOKING_STATUSES,
+    BLOG_POST_STATUSES,
+    CONTACT_FILTERS,
+    MAX_REPLY_LENGTH,
+    SCHEMAS
+};
@@ -4,7 +4,6 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
-const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 const bodyParser = require('body-parser');
 const helmet = require('helmet');
@@ -12,31 +11,103 @@ const compression = require('compression');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const bcrypt = require('bcryptjs');
-const nodemailer = require('nodemailer');
 const { query, pool, initializeDatabase } = require('./database');
+const {
+    isValidDate,
+    getMonthAvailability,
+    checkDateAvailability,
+    getRemainingCapacity,
+    today,
+    addDays
+} = require('./availability');
+const {
+    VAT_RATE,
+    DEFAULT_DEPOSIT_PERCENTAGE,
+    DEFAULT_VALIDITY_DAYS,
+    QUOTE_LINE_CATEGORIES,
+    QUOTE_STATUSES,
+    generateQuoteToken,
+    normaliseLineItems,
+    calculateQuoteTotals,
+    lineItemsFromBooking
+} = require('./quotes');
+const { nextBookingReference, nextContactReference, isValidReference } = require('./references');
+const {
+    CHANGE_CUTOFF_DAYS,
+    generatePortalToken,
+    parseSelectedDishes,
+    changeDeadline,
+    changeBlockedReason
+} = require('./portal');
+const { priceSelectedDishes } = require('./pricing');
+const { dishName } = require('./menu-pricing');
+const { listPackages, findPackage, coursesProblem } = require('./menu-packages');
+const { labelProblems, dietaryConflicts } = require('./dietary');
+const { sanitizePayload } = require('./sanitize');
+const { BOOKING_SCHEMA, validateBooking, insertBooking, fromLegacyBody, toLegacyField } = require('./booking-intake');
+const { validateRequest } = require('./validation');
+const { USER_ROLES, ROLE_ACCESS, permissionsFor, requireRole } = require('./roles');
+const { auditLog, recordAudit } = require('./audit');
+const { checkLoginAllowed, recordLoginAttempt, isNewDevice, describeWait } = require('./login-security');
+const {
+    RESET_TOKEN_MINUTES,
+    MAX_RESETS_PER_HOUR,
+    passwordProblems
+} = require('./passwords');
+const { generateLinkToken, hashLinkToken } = require('./link-tokens');
+const { recordSessionDevice, touchSession, listUserSessions, endSession, endUserSessions } = require('./sessions');
+const {
+    INVITE_EXPIRY_DAYS,
+    listOpenInvites,
+    findInvite,
+    findInviteByToken,
+    createInvite,
+    issueInviteToken
+} = require('./invites');
+const {
+    PENDING_LOGIN_MINUTES,
+    generateTotpSecret,
+    matchTotp,
+    otpauthUrl,
+    qrCodeDataUrl,
+    replaceRecoveryCodes,
+    recoveryCodesLeft,
+    verifyTwoFactorCode,
+    clearTwoFactor
+} = require('./two-factor');
+const {
+    BOOKING_STATUSES,
+    BLOG_POST_STATUSES,
+    CONTACT_FILTERS,
+    SCHEMAS
+} = require('./schemas');
+const { queueEmail, processOutbox, startOutboxWorker } = require('./email-outbox');
+const {
+    MAIL_DRIVER,
+    SENDER_ADDRESS,
+    messageIdFor,
+    createMailTransport,
+    verifyMailTransport,
+    getSentMessages,
+    clearSentMessages
+} = require('./mail-transport');
+const { BUSINESS_DETAILS, renderEmail, listEmailTemplates, previewEmail } = require('./email-templates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Email configuration
-const emailTransporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: process.env.SMTP_PORT || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-    }
-});
+// Email configuration - SMTP, .eml files or in-memory, chosen with MAIL_TRANSPORT
+const emailTransporter = createMailTransport();
+
+// Render one of the templates in templates/email and queue it with an HTML and plain text body.
+// The outbox worker does the actual sending, retrying while SMTP is unavailable.
+async function sendTemplateEmail(template, data, envelope) {
+    const { subject, html, text } = await renderEmail(template, data);
+    return queueEmail(emailTransporter, { ...envelope, template, reference: data.reference, subject, html, text });
+}
 
 // Verify email configuration on startup
-emailTransporter.verify((error, success) => {
-    if (error) {
-        console.log('Email configuration error:', error);
-    } else {
-        console.log('Email server is ready to send messages');
-    }
-});
+verifyMailTransport(emailTransporter);
 
 // Trust proxy for Railway deployment
 if (process.env.NODE_ENV === 'production') {
@@ -90,6 +161,32 @@ if (pool) {
 app.use(express.static('public'));
 app.use('/uploads', express.static('uploads'));
 
+// Modules shared with the browser, wrapped to set a global instead of module.exports
+function browserModule(file, globalName) {
+    return `(function () {\nconst module = { exports: {} };\n${fs.readFileSync(path.join(__dirname, file), 'utf8')}\nwindow.${globalName} = module.exports;\n})();\n`;
+}
+
+// The request validator as window.RequestValidation (used by api-client.js)
+const browserValidator = browserModule('validation.js', 'RequestValidation');
+
+app.get('/assets/js/validation.js', (req, res) => {
+    res.type('application/javascript').send(browserValidator);
+});
+
+// Allergen and dietary labels as window.Dietary (used by the menu, cart and menu admin pages)
+const browserDietary = browserModule('dietary.js', 'Dietary');
+
+app.get('/assets/js/dietary.js', (req, res) => {
+    res.type('application/javascript').send(browserDietary);
+});
+
+// Dish pricing rules as window.MenuPricing (used by the menu, cart and menu admin pages)
+const browserMenuPricing = browserModule('menu-pricing.js', 'MenuPricing');
+
+app.get('/assets/js/menu-pricing.js', (req, res) => {
+    res.type('application/javascript').send(browserMenuPricing);
+});
+
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, 'uploads');
 const categoriesDir = path.join(uploadsDir, 'categories');
@@ -104,9 +201,11 @@ fs.ensureDirSync(galleryDir);
 // Initialize database
 initializeDatabase().catch(console.error);
 
-// Image processing function
+// Image processing function. sharp is a native module, so it is loaded on the first upload rather
+// than at startup; the rest of the app (and the tests) run where its binary isn't installed.
 async function processImage(inputPath, outputPath, width = 800, height = 600, quality = 85) {
     try {
+        const sharp = require('sharp');
         await sharp(inputPath)
             .resize(width, height, { fit: 'cover' })
             .jpeg({ quality })
@@ -182,14 +281,38 @@ setTimeout(() => {
     if (pool) insertDefaultData();
 }, 1000);
 
-// Authentication middleware
+// Authentication middleware. Accounts the owner requires two-factor sign-in for can only use the
+// /api/auth routes until they have set it up.
 function requireAuth(req, res, next) {
     if (req.session && req.session.user) {
+        if (req.session.user.two_factor_setup_required && !req.path.startsWith('/api/auth/')) {
+            return res.status(403).json({
+                error: 'Please set up two-factor sign-in before continuing',
+                two_factor_setup_required: true
+            });
+        }
+        touchSession(req);
         return next();
     }
     return res.status(401).json({ error: 'Authentication required' });
 }
 
+// Trim public form input and reject oversized fields or control characters before a route sees it
+function sanitizeFormBody(req, res, next) {
+    const result = sanitizePayload(req.body || {});
+
+    if (result.error) {
+        return res.status(400).json({
+            error: result.error,
+            field: result.field,
+            errors: [{ field: result.field, message: result.error }]
+        });
+    }
+
+    req.body = result.values;
+    next();
+}
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -231,13 +354,25 @@ const upload = multer({
 
 // Routes
 
+// Request schemas for every route, so clients can check a request before sending it (see schemas.js)
+app.get('/api/schemas', (req, res) => {
+    res.json(SCHEMAS);
+});
+
 // Authentication routes
-app.post('/api/auth/login', async (req, res) => {
+// Every attempt is recorded in login_attempts. Too many failures from one address or for one
+// account turn further attempts away with 429 until the window has passed (see login-security.js).
+// Accounts with two-factor sign-in answer the password with two_factor_required, and are signed
+// in by /api/auth/login/two-factor once the code is right.
+app.post('/api/auth/login', validateRequest(SCHEMAS.login), async (req, res) => {
     try {
         const { email, password } = req.body;
-        
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required' });
+        const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+
+        const blocked = await checkLoginAllowed(email, req.ip);
+        if (blocked) {
+            await recordLoginAttempt({ ...attempt, success: false, failureReason: blocked.reason });
+            return sendLoginBlocked(res, blocked);
         }
 
         const result = await query(
@@ -245,41 +380,136 @@ app.post('/api/auth/login', async (req, res) => {
             [email]
         );
 
-        if (result.rows.length === 0) {
+        const user = result.rows[0];
+        const isValidPassword = user ? await bcrypt.compare(password, user.password_hash) : false;
+
+        if (!isValidPassword) {
+            await recordLoginAttempt({ ...attempt, userId: user && user.id, success: false, failureReason: 'invalid_credentials' });
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        if (user.totp_enabled_at) {
+            delete req.session.user;
+            req.session.pendingTwoFactor = { userId: user.id, expiresAt: Date.now() + PENDING_LOGIN_MINUTES * 60 * 1000 };
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                two_factor_required: true
+            });
+        }
+
+        res.json({ message: 'Login successful', user: await completeLogin(req, user, attempt) });
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The second step for accounts with two-factor sign-in. Takes a code from the authenticator app
+// or one of the recovery codes. Wrong codes count towards the same lockout as wrong passwords.
+app.post('/api/auth/login/two-factor', validateRequest(SCHEMAS.loginTwoFactor), async (req, res) => {
+    try {
+        const pending = req.session.pendingTwoFactor;
+        const result = pending && pending.expiresAt > Date.now()
+            ? await query('SELECT * FROM users WHERE id = $1 AND is_active = true AND totp_enabled_at IS NOT NULL', [pending.userId])
+            : { rows: [] };
         const user = result.rows[0];
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
-        if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        if (!user) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({ error: 'Your sign-in has expired. Please enter your email and password again.', restart: true });
         }
 
-        // Update last login
-        await query(
-            'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-            [user.id]
-        );
+        const attempt = { email: user.email, ip: req.ip, userAgent: req.get('user-agent') };
 
-        req.session.user = {
-            id: user.id,
-            email: user.email,
-            first_name: user.first_name,
-            last_name: user.last_name,
-            role: user.role
-        };
+        const blocked = await checkLoginAllowed(user.email, req.ip);
+        if (blocked) {
+            delete req.session.pendingTwoFactor;
+            await recordLoginAttempt({ ...attempt, userId: user.id, success: false, failureReason: blocked.reason });
+            return sendLoginBlocked(res, blocked);
+        }
 
-        res.json({ 
-            message: 'Login successful',
-            user: req.session.user
-        });
+        const method = await verifyTwoFactorCode(user, req.body.code);
+        if (!method) {
+            await recordLoginAttempt({ ...attempt, userId: user.id, success: false, failureReason: 'invalid_code' });
+            return res.status(401).json({
+                error: 'That code isn\'t right. Please try again.',
+                field: 'code',
+                errors: [{ field: 'code', message: 'That code isn\'t right. Please try again.' }]
+            });
+        }
+
+        delete req.session.pendingTwoFactor;
+        const response = { message: 'Login successful', user: await completeLogin(req, user, attempt) };
+
+        if (method === 'recovery') {
+            response.recovery_codes_left = await recoveryCodesLeft(user.id);
+        }
+
+        res.json(response);
     } catch (err) {
-        console.error('Login error:', err);
+        console.error('Two-factor login error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+function sendLoginBlocked(res, blocked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({
+        error: `Too many failed sign-in attempts. Please try again ${describeWait(blocked.retryAfter)}.`,
+        retry_after: blocked.retryAfter
+    });
+}
+
+// Records the successful sign-in and starts the session. Returns the user for the response.
+async function completeLogin(req, user, attempt) {
+    const newDevice = await isNewDevice(user.id, attempt.userAgent);
+    await recordLoginAttempt({ ...attempt, userId: user.id, success: true, newDevice });
+
+    // Update last login
+    await query(
+        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+        [user.id]
+    );
+
+    if (newDevice) {
+        await sendNewDeviceEmail(user, attempt);
+    }
+
+    req.session.user = {
+        id: user.id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        role: user.role
+    };
+    if (user.two_factor_required && !user.totp_enabled_at) {
+        req.session.user.two_factor_setup_required = true;
+    }
+    recordSessionDevice(req);
+
+    return { ...req.session.user, permissions: permissionsFor(user.role) };
+}
+
+// Lets the user know their account was signed in to from a browser it hasn't been used on before
+async function sendNewDeviceEmail(user, { ip, userAgent }) {
+    try {
+        await sendTemplateEmail('new-device-login', {
+            first_name: user.first_name,
+            details: [
+                { label: 'When', value: new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' }) },
+                { label: 'IP address', value: ip || 'Unknown' },
+                { label: 'Browser', value: userAgent || 'Unknown' }
+            ]
+        }, {
+            from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+            to: user.email,
+            replyTo: BUSINESS_DETAILS.email
+        });
+    } catch (err) {
+        console.error('Error sending new device email:', err);
+    }
+}
+
 app.post('/api/auth/logout', (req, res) => {
     req.session.destroy((err) => {
         if (err) {
@@ -289,1000 +519,3206 @@ app.post('/api/auth/logout', (req, res) => {
     });
 });
 
-app.get('/api/auth/me', requireAuth, (req, res) => {
-    res.json({ user: req.session.user });
+// The signed-in user with what their role allows, so the admin pages can hide the rest
+app.get('/api/auth/me', requireAuth, requireRole(...USER_ROLES), (req, res) => {
+    res.json({ user: { ...req.session.user, permissions: permissionsFor(req.session.user.role) } });
 });
 
-// Category routes
-app.get('/api/categories', async (req, res) => {
+// A new password that fails the policy, in the same shape as validateRequest's errors
+function sendPasswordProblems(res, field, problems) {
+    return res.status(400).json({ error: problems[0], field, errors: problems.map(message => ({ field, message })) });
+}
+
+// Tells the user their password was changed, so an unexpected change doesn't go unnoticed
+async function sendPasswordChangedEmail(user, req) {
     try {
-        const result = await query('SELECT * FROM categories ORDER BY display_order, created_at');
-        res.json(result.rows);
+        await sendTemplateEmail('password-changed', {
+            first_name: user.first_name,
+            details: [
+                { label: 'When', value: new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' }) },
+                { label: 'IP address', value: req.ip || 'Unknown' }
+            ]
+        }, {
+            from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+            to: user.email,
+            replyTo: BUSINESS_DETAILS.email
+        });
     } catch (err) {
-        console.error('Error fetching categories:', err);
-        res.status(500).json({ error: 'Error fetching categories' });
+        console.error('Error sending password changed email:', err);
     }
-});
+}
 
-app.post('/api/categories', requireAuth, (req, res) => {
-    const { name, description, color, icon } = req.body;
-    const id = uuidv4();
-    
-    if (!name) {
-        return res.status(400).json({ error: 'Category name is required' });
-    }
+// Always answers the same way, so the form can't be used to find out which emails have accounts
+app.post('/api/auth/forgot-password', validateRequest(SCHEMAS.forgotPassword), async (req, res) => {
+    try {
+        const { email } = req.body;
 
-    query(
-        'INSERT INTO categories (id, name, description, color, icon) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-        [id, name, description || null, color || '#3498db', icon || 'fas fa-utensils']
-    )
-    .then(result => {
-        res.json(result.rows[0]);
-    })
-    .catch(err => {
-        console.error('Error creating category:', err);
-        res.status(500).json({ error: 'Error creating category' });
-    });
+        const result = await query(`
+            SELECT u.*, (
+                SELECT COUNT(*) FROM password_reset_tokens t
+                WHERE t.user_id = u.id AND t.created_at > NOW() - INTERVAL '1 hour'
+            ) as recent_resets
+            FROM users u
+            WHERE LOWER(u.email) = LOWER($1) AND u.is_active = true
+        `, [email]);
+        const user = result.rows[0];
+
+        if (user && Number(user.recent_resets) < MAX_RESETS_PER_HOUR) {
+            const token = generateLinkToken();
+
+            // Only the newest link works
+            await query('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+            await query(`
+                INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+                VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)
+            `, [user.id, hashLinkToken(token), RESET_TOKEN_MINUTES, req.ip || null]);
+
+            await sendTemplateEmail('password-reset', {
+                first_name: user.first_name,
+                reset_link: `${siteUrl(req)}/reset-password.html?token=${token}`,
+                expires_in: `${RESET_TOKEN_MINUTES} minutes`
+            }, {
+                from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+                to: user.email,
+                replyTo: BUSINESS_DETAILS.email
+            });
+        }
+
+        res.json({ message: 'If that email belongs to an account, a link to reset the password is on its way.' });
+    } catch (err) {
+        console.error('Error requesting password reset:', err);
+        res.status(500).json({ error: 'Error requesting password reset' });
+    }
 });
 
-app.put('/api/categories/:id', requireAuth, async (req, res) => {
+async function findResetToken(token) {
+    const result = await query(`
+        SELECT t.id as token_id, u.*
+        FROM password_reset_tokens t
+        JOIN users u ON t.user_id = u.id
+        WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW() AND u.is_active = true
+    `, [hashLinkToken(token)]);
+    return result.rows[0] || null;
+}
+
+// Lets the reset page say straight away when a link has expired
+app.get('/api/auth/reset-password/:token', validateRequest(SCHEMAS.checkResetToken), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, description, color, icon } = req.body;
-        
-        const result = await query(
-            'UPDATE categories SET name = $1, description = $2, color = $3, icon = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
-            [name, description, color, icon, id]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Category not found' });
+        const user = await findResetToken(req.params.token);
+
+        if (!user) {
+            return res.status(404).json({ error: 'This reset link has expired or has already been used. Please request a new one.' });
         }
 
-        res.json(result.rows[0]);
+        res.json({ email: user.email });
     } catch (err) {
-        console.error('Error updating category:', err);
-        res.status(500).json({ error: 'Error updating category' });
+        console.error('Error checking reset link:', err);
+        res.status(500).json({ error: 'Error checking reset link' });
     }
 });
 
-app.delete('/api/categories/:id', requireAuth, async (req, res) => {
+// Sets the new password and signs the user out everywhere
+app.post('/api/auth/reset-password/:token', validateRequest(SCHEMAS.resetPassword), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        const result = await query('DELETE FROM categories WHERE id = $1 RETURNING *', [id]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Category not found' });
+        const { password } = req.body;
+        const user = await findResetToken(req.params.token);
+
+        if (!user) {
+            return res.status(404).json({ error: 'This reset link has expired or has already been used. Please request a new one.' });
         }
 
-        res.json({ message: 'Category deleted successfully' });
+        const problems = passwordProblems(password, user);
+        if (problems.length > 0) {
+            return sendPasswordProblems(res, 'password', problems);
+        }
+
+        // Claim the token first, so the same link can't be used twice at once
+        const claimed = await query(
+            'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id',
+            [user.token_id]
+        );
+        if (claimed.rows.length === 0) {
+            return res.status(404).json({ error: 'This reset link has expired or has already been used. Please request a new one.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+        await query(
+            'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [hashedPassword, user.id]
+        );
+        await endUserSessions(user.id);
+        await sendPasswordChangedEmail(user, req);
+
+        res.json({ message: 'Your password has been reset. Please sign in with your new password.' });
     } catch (err) {
-        console.error('Error deleting category:', err);
-        res.status(500).json({ error: 'Error deleting category' });
+        console.error('Error resetting password:', err);
+        res.status(500).json({ error: 'Error resetting password' });
     }
 });
 
-// Menu item routes
-app.get('/api/menu-items', async (req, res) => {
+// Lets the invitation page say straight away when a link has expired
+app.get('/api/invites/:token', validateRequest(SCHEMAS.checkInvite), async (req, res) => {
     try {
-        const result = await query(`
-            SELECT m.*, c.name as category_name, c.color as category_color 
-            FROM menu_items m 
-            LEFT JOIN categories c ON m.category_id = c.id 
-            ORDER BY m.created_at DESC
-        `);
-        res.json(result.rows);
+        const invite = await findInviteByToken(req.params.token);
+
+        if (!invite) {
+            return res.status(404).json({ error: 'This invitation has expired or has already been used. Please ask for a new one.' });
+        }
+
+        res.json({ email: invite.email, role: invite.role, invited_by_name: invite.invited_by_name, expires_at: invite.expires_at });
     } catch (err) {
-        console.error('Error fetching menu items:', err);
-        res.status(500).json({ error: 'Error fetching menu items' });
+        console.error('Error checking invitation:', err);
+        res.status(500).json({ error: 'Error checking invitation' });
     }
 });
 
-app.post('/api/menu-items', requireAuth, upload.single('image'), async (req, res) => {
+// Creates the invitee's account with the email and role they were invited with. They sign in afterwards.
+app.post('/api/invites/:token', validateRequest(SCHEMAS.acceptInvite), async (req, res) => {
     try {
-        const { name, description, price, category_id, available, featured } = req.body;
-        const id = uuidv4();
-        let imagePath = null;
-        
-        if (req.file) {
-            const processedPath = path.join(menuDir, `processed_${req.file.filename}`);
-            await processImage(req.file.path, processedPath, 600, 400, 85);
-            imagePath = `/uploads/menu/processed_${req.file.filename}`;
+        const { first_name, last_name, password } = req.body;
+        const invite = await findInviteByToken(req.params.token);
+
+        if (!invite) {
+            return res.status(404).json({ error: 'This invitation has expired or has already been used. Please ask for a new one.' });
         }
 
-        const result = await query(
-            'INSERT INTO menu_items (id, name, description, price, category_id, image_path, available, featured) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-            [id, name, description || null, parseFloat(price), category_id || null, imagePath, available !== 'false', featured === 'true']
-        );
+        const problems = passwordProblems(password, invite);
+        if (problems.length > 0) {
+            return sendPasswordProblems(res, 'password', problems);
+        }
 
-        res.json(result.rows[0]);
+        const existing = await query('SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)', [invite.email]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'There is already an account with this email. Please sign in instead.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        // Claiming the invitation and creating the account happen together: the claim stops the same
+        // link being used twice at once, and is undone if the account can't be created
+        const client = await pool.connect();
+        let user;
+        try {
+            await client.query('BEGIN');
+
+            const claimed = await client.query(
+                'UPDATE user_invites SET accepted_at = NOW() WHERE id = $1 AND accepted_at IS NULL RETURNING id',
+                [invite.id]
+            );
+            if (claimed.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'This invitation has expired or has already been used. Please ask for a new one.' });
+            }
+
+            const result = await client.query(`
+                INSERT INTO users (id, first_name, last_name, email, password_hash, role, password_changed_at)
+                VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                RETURNING id, first_name, last_name, email, role, is_active, created_at
+            `, [uuidv4(), first_name, last_name, invite.email, hashedPassword, invite.role]);
+            user = result.rows[0];
+
+            await client.query('UPDATE user_invites SET accepted_user_id = $1 WHERE id = $2', [user.id, invite.id]);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            // Someone signed up with the email between the check above and the insert
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'There is already an account with this email. Please sign in instead.' });
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        await recordAudit({ user, action: 'accept', entityType: 'user', entityId: user.id, before: null, after: user, ip: req.ip });
+
+        res.status(201).json({ message: 'Your account is ready. Please sign in.', email: user.email });
     } catch (err) {
-        console.error('Error creating menu item:', err);
-        res.status(500).json({ error: 'Error creating menu item' });
+        console.error('Error accepting invitation:', err);
+        res.status(500).json({ error: 'Error accepting invitation' });
     }
 });
 
-app.put('/api/menu-items/:id', requireAuth, upload.single('image'), async (req, res) => {
+// Changes the signed-in user's password. Their other sessions are signed out; this one stays.
+app.post('/api/auth/change-password', requireAuth, validateRequest(SCHEMAS.changePassword), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, description, price, category_id, available, featured } = req.body;
-        let imagePath = undefined;
-        
-        if (req.file) {
-            const processedPath = path.join(menuDir, `processed_${req.file.filename}`);
-            await processImage(req.file.path, processedPath, 600, 400, 85);
-            imagePath = `/uploads/menu/processed_${req.file.filename}`;
+        const { current_password, new_password } = req.body;
+
+        const result = await query('SELECT * FROM users WHERE id = $1 AND is_active = true', [req.session.user.id]);
+        const user = result.rows[0];
+
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
         }
 
-        let updateQuery = 'UPDATE menu_items SET name = $1, description = $2, price = $3, category_id = $4, available = $5, featured = $6, updated_at = CURRENT_TIMESTAMP';
-        let params = [name, description, parseFloat(price), category_id, available !== 'false', featured === 'true'];
-        
-        if (imagePath) {
-            updateQuery += ', image_path = $7';
-            params.push(imagePath);
+        if (!await bcrypt.compare(current_password, user.password_hash)) {
+            return res.status(400).json({
+                error: 'Current password is incorrect',
+                field: 'current_password',
+                errors: [{ field: 'current_password', message: 'Current password is incorrect' }]
+            });
         }
-        
-        updateQuery += ' WHERE id = $' + (params.length + 1) + ' RETURNING *';
-        params.push(id);
 
-        const result = await query(updateQuery, params);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Menu item not found' });
+        const problems = passwordProblems(new_password, user);
+        if (current_password === new_password) {
+            problems.push('New password must be different from the current one');
+        }
+        if (problems.length > 0) {
+            return sendPasswordProblems(res, 'new_password', problems);
         }
 
-        res.json(result.rows[0]);
+        const hashedPassword = await bcrypt.hash(new_password, 12);
+        await query(
+            'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [hashedPassword, user.id]
+        );
+        await query('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+        await endUserSessions(user.id, req.sessionID);
+        await sendPasswordChangedEmail(user, req);
+
+        res.json({ message: 'Your password has been changed. Any other devices have been signed out.' });
     } catch (err) {
-        console.error('Error updating menu item:', err);
-        res.status(500).json({ error: 'Error updating menu item' });
+        console.error('Error changing password:', err);
+        res.status(500).json({ error: 'Error changing password' });
     }
 });
 
-app.delete('/api/menu-items/:id', requireAuth, async (req, res) => {
+// Two-factor sign-in for the signed-in user
+async function findSignedInUser(req) {
+    const result = await query('SELECT * FROM users WHERE id = $1 AND is_active = true', [req.session.user.id]);
+    return result.rows[0] || null;
+}
+
+// Tells the user two-factor sign-in was turned on or off for their account
+async function sendTwoFactorChangedEmail(user, req, change) {
     try {
-        const { id } = req.params;
-        
-        const result = await query('DELETE FROM menu_items WHERE id = $1 RETURNING *', [id]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Menu item not found' });
+        await sendTemplateEmail('two-factor-changed', {
+            first_name: user.first_name,
+            change,
+            details: [
+                { label: 'When', value: new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' }) },
+                { label: 'IP address', value: req.ip || 'Unknown' }
+            ]
+        }, {
+            from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+            to: user.email,
+            replyTo: BUSINESS_DETAILS.email
+        });
+    } catch (err) {
+        console.error('Error sending two-factor changed email:', err);
+    }
+}
+
+app.get('/api/auth/two-factor', requireAuth, async (req, res) => {
+    try {
+        const user = await findSignedInUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
         }
 
-        res.json({ message: 'Menu item deleted successfully' });
+        res.json({
+            enabled: Boolean(user.totp_enabled_at),
+            enabled_at: user.totp_enabled_at,
+            required: Boolean(user.two_factor_required),
+            recovery_codes_left: user.totp_enabled_at ? await recoveryCodesLeft(user.id) : 0
+        });
     } catch (err) {
-        console.error('Error deleting menu item:', err);
-        res.status(500).json({ error: 'Error deleting menu item' });
+        console.error('Error fetching two-factor status:', err);
+        res.status(500).json({ error: 'Error fetching two-factor status' });
     }
 });
 
-// Gallery routes
-app.get('/api/gallery', async (req, res) => {
+// Starts setting up: a new secret to scan, kept in the session until a code from it is confirmed
+app.post('/api/auth/two-factor/setup', requireAuth, async (req, res) => {
     try {
-        const result = await query('SELECT * FROM gallery_images ORDER BY created_at DESC');
-        res.json(result.rows);
+        const user = await findSignedInUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (user.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor sign-in is already turned on' });
+        }
+
+        const secret = generateTotpSecret();
+        const url = otpauthUrl(secret, user.email);
+        req.session.twoFactorSetup = secret;
+
+        res.json({ secret, otpauth_url: url, qr_code: await qrCodeDataUrl(url) });
     } catch (err) {
-        console.error('Error fetching gallery:', err);
-        res.status(500).json({ error: 'Error fetching gallery' });
+        console.error('Error starting two-factor setup:', err);
+        res.status(500).json({ error: 'Error starting two-factor setup' });
     }
 });
 
-app.post('/api/gallery', requireAuth, upload.array('images', 10), async (req, res) => {
+// Turns it on once a code from the app matches. The recovery codes are only ever shown here.
+app.post('/api/auth/two-factor/enable', requireAuth, validateRequest(SCHEMAS.enableTwoFactor), async (req, res) => {
     try {
-        const { titles } = req.body;
-        const processedImages = [];
-        
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'At least one image is required' });
+        const user = await findSignedInUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
         }
 
-        for (let i = 0; i < req.files.length; i++) {
-            const file = req.files[i];
-            const title = Array.isArray(titles) ? titles[i] : `Gallery Image ${i + 1}`;
-            const id = uuidv4();
-            
-            const processedPath = path.join(galleryDir, `processed_${file.filename}`);
-            await processImage(file.path, processedPath, 800, 600, 90);
-            const imagePath = `/uploads/gallery/processed_${file.filename}`;
+        const secret = req.session.twoFactorSetup;
+        if (!secret) {
+            return res.status(409).json({ error: 'Please start the setup again' });
+        }
 
-            const result = await query(
-                'INSERT INTO gallery_images (id, title, image_path, type) VALUES ($1, $2, $3, $4) RETURNING *',
-                [id, title, imagePath, 'food']
-            );
+        const step = matchTotp(secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                error: 'That code isn\'t right. Check the time on your phone and try the newest code.',
+                field: 'code',
+                errors: [{ field: 'code', message: 'That code isn\'t right. Check the time on your phone and try the newest code.' }]
+            });
+        }
 
-            processedImages.push(result.rows[0]);
+        const updated = await query(`
+            UPDATE users SET totp_secret = $1, totp_enabled_at = NOW(), totp_last_step = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3 AND totp_enabled_at IS NULL
+            RETURNING id
+        `, [secret, step, user.id]);
+        if (updated.rows.length === 0) {
+            return res.status(409).json({ error: 'Two-factor sign-in is already turned on' });
         }
 
-        res.json(processedImages);
+        const recoveryCodes = await replaceRecoveryCodes(user.id);
+        delete req.session.twoFactorSetup;
+        delete req.session.user.two_factor_setup_required;
+
+        // Other sessions were signed in without a code
+        await endUserSessions(user.id, req.sessionID);
+        await sendTwoFactorChangedEmail(user, req, 'turned on');
+
+        res.json({
+            message: 'Two-factor sign-in is on. Any other devices have been signed out.',
+            recovery_codes: recoveryCodes
+        });
     } catch (err) {
-        console.error('Error uploading images:', err);
-        res.status(500).json({ error: 'Error uploading images' });
+        console.error('Error turning on two-factor sign-in:', err);
+        res.status(500).json({ error: 'Error turning on two-factor sign-in' });
+    }
+});
+
+// Needs the password and a current code, so a session left open can't be used to turn it off
+app.post('/api/auth/two-factor/disable', requireAuth, validateRequest(SCHEMAS.disableTwoFactor), async (req, res) => {
+    try {
+        const user = await findSignedInUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!user.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor sign-in is not turned on' });
+        }
+        if (user.two_factor_required) {
+            return res.status(409).json({ error: 'The site owner requires two-factor sign-in for your account' });
+        }
+
+        if (!await bcrypt.compare(req.body.password, user.password_hash)) {
+            return res.status(400).json({
+                error: 'Password is incorrect',
+                field: 'password',
+                errors: [{ field: 'password', message: 'Password is incorrect' }]
+            });
+        }
+        if (!await verifyTwoFactorCode(user, req.body.code)) {
+            return res.status(400).json({
+                error: 'That code isn\'t right. Please try again.',
+                field: 'code',
+                errors: [{ field: 'code', message: 'That code isn\'t right. Please try again.' }]
+            });
+        }
+
+        await clearTwoFactor(user.id);
+        await sendTwoFactorChangedEmail(user, req, 'turned off');
+
+        res.json({ message: 'Two-factor sign-in is off' });
+    } catch (err) {
+        console.error('Error turning off two-factor sign-in:', err);
+        res.status(500).json({ error: 'Error turning off two-factor sign-in' });
+    }
+});
+
+// New recovery codes, for when the old ones are used up or may have been seen. The old ones stop working.
+app.post('/api/auth/two-factor/recovery-codes', requireAuth, validateRequest(SCHEMAS.regenerateRecoveryCodes), async (req, res) => {
+    try {
+        const user = await findSignedInUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!user.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor sign-in is not turned on' });
+        }
+
+        if (!await verifyTwoFactorCode(user, req.body.code, { allowRecovery: false })) {
+            return res.status(400).json({
+                error: 'Enter a code from your authenticator app',
+                field: 'code',
+                errors: [{ field: 'code', message: 'Enter a code from your authenticator app' }]
+            });
+        }
+
+        res.json({
+            message: 'New recovery codes created. The old ones no longer work.',
+            recovery_codes: await replaceRecoveryCodes(user.id)
+        });
+    } catch (err) {
+        console.error('Error creating recovery codes:', err);
+        res.status(500).json({ error: 'Error creating recovery codes' });
+    }
+});
+
+// The signed-in user's sessions, for signing out devices they no longer use
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        res.json({ sessions: await listUserSessions(req.session.user.id, req.sessionID) });
+    } catch (err) {
+        console.error('Error fetching sessions:', err);
+        res.status(500).json({ error: 'Error fetching sessions' });
+    }
+});
+
+// When the session just ended is the one making the request, it mustn't be saved again once the
+// response is sent
+function forgetEndedSession(req, sid) {
+    if (sid === req.sessionID) {
+        req.session.destroy(err => {
+            if (err) console.error('Error ending session:', err);
+        });
+    }
+}
+
+// Signs out every other device
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const ended = await endUserSessions(req.session.user.id, req.sessionID);
+        res.json({ message: `Signed out of ${ended} other session${ended === 1 ? '' : 's'}`, ended });
+    } catch (err) {
+        console.error('Error ending sessions:', err);
+        res.status(500).json({ error: 'Error ending sessions' });
+    }
+});
+
+// Ending the current session is the same as signing out
+app.delete('/api/auth/sessions/:sid', requireAuth, validateRequest(SCHEMAS.endOwnSession), async (req, res) => {
+    try {
+        const sid = await endSession(req.session.user.id, req.params.sid);
+        if (!sid) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        forgetEndedSession(req, sid);
+        res.json({ message: 'Session signed out' });
+    } catch (err) {
+        console.error('Error ending session:', err);
+        res.status(500).json({ error: 'Error ending session' });
+    }
+});
+
+// Category routes
+app.get('/api/categories', async (req, res) => {
+    try {
+        const result = await query('SELECT * FROM categories ORDER BY display_order, created_at');
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching categories:', err);
+        res.status(500).json({ error: 'Error fetching categories' });
     }
 });
 
-app.put('/api/gallery/:id', requireAuth, async (req, res) => {
+app.post('/api/categories', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.createCategory), auditLog('category'), (req, res) => {
+    const { name, description, color, icon, display_order } = req.body;
+    const id = uuidv4();
+
+    query(
+        'INSERT INTO categories (id, name, description, color, icon, display_order) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+        [id, name, description || null, color || '#3498db', icon || 'fas fa-utensils', display_order ?? 0]
+    )
+    .then(result => {
+        res.json(result.rows[0]);
+    })
+    .catch(err => {
+        console.error('Error creating category:', err);
+        res.status(500).json({ error: 'Error creating category' });
+    });
+});
+
+// Fields left out keep their current value, so the category list can reorder with just display_order
+app.put('/api/categories/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.updateCategory), auditLog('category'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, description } = req.body;
+        const { name, description, color, icon, display_order } = req.body;
         
         const result = await query(
-            'UPDATE gallery_images SET title = $1, description = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-            [title, description, id]
+            `UPDATE categories SET name = COALESCE($1, name), description = COALESCE($2, description),
+                color = COALESCE($3, color), icon = COALESCE($4, icon), display_order = COALESCE($5, display_order),
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6 RETURNING *`,
+            [name, description, color, icon, display_order, id]
         );
         
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Gallery image not found' });
+            return res.status(404).json({ error: 'Category not found' });
         }
 
         res.json(result.rows[0]);
     } catch (err) {
-        console.error('Error updating gallery image:', err);
-        res.status(500).json({ error: 'Error updating gallery image' });
+        console.error('Error updating category:', err);
+        res.status(500).json({ error: 'Error updating category' });
     }
 });
 
-app.delete('/api/gallery/:id', requireAuth, async (req, res) => {
+app.delete('/api/categories/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.deleteCategory), auditLog('category'), async (req, res) => {
     try {
         const { id } = req.params;
         
-        const result = await query('DELETE FROM gallery_images WHERE id = $1 RETURNING *', [id]);
+        const result = await query('DELETE FROM categories WHERE id = $1 RETURNING *', [id]);
         
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Gallery image not found' });
+            return res.status(404).json({ error: 'Category not found' });
         }
 
-        res.json({ message: 'Gallery image deleted successfully' });
+        res.json({ message: 'Category deleted successfully' });
     } catch (err) {
-        console.error('Error deleting gallery image:', err);
-        res.status(500).json({ error: 'Error deleting gallery image' });
+        console.error('Error deleting category:', err);
+        res.status(500).json({ error: 'Error deleting category' });
     }
 });
 
-// User management routes
-app.get('/api/users', requireAuth, async (req, res) => {
+// Menu item routes
+
+// The allergen and dietary label lists from a menu item form, checked against each other.
+// Returns { allergens, dietaryTags } or { error }.
+function menuItemLabels(body) {
+    const allergens = Array.isArray(body.allergens) ? [...new Set(body.allergens)] : [];
+    const dietaryTags = Array.isArray(body.dietary_tags) ? [...new Set(body.dietary_tags)] : [];
+    const [problem] = labelProblems(allergens, dietaryTags);
+    return problem ? { error: problem } : { allergens, dietaryTags };
+}
+
+// The pricing mode, minimum order, platter size and portions from a menu item form.
+// Returns { pricingMode, minQuantity, serves, variants } or { field, error }.
+function menuItemPricing(body) {
+    const pricingMode = body.pricing_mode || 'fixed';
+    const variants = Array.isArray(body.variants)
+        ? body.variants.map(variant => ({ name: variant.name.trim(), price: variant.price }))
+        : [];
+
+    if (pricingMode === 'per_platter' && !body.serves) {
+        return { field: 'serves', error: 'Say how many people a platter serves' };
+    }
+    const names = variants.map(variant => variant.name.toLowerCase());
+    if (names.some(name => !name) || new Set(names).size !== names.length) {
+        return { field: 'variants', error: 'Each portion needs its own name' };
+    }
+
+    return {
+        pricingMode,
+        minQuantity: body.min_quantity || 1,
+        serves: pricingMode === 'per_platter' ? body.serves : null,
+        variants
+    };
+}
+
+// Filter with dietary (labels a dish must all have) and free_from (allergens it mustn't contain)
+app.get('/api/menu-items', validateRequest(SCHEMAS.listMenuItems), async (req, res) => {
     try {
-        const result = await query('SELECT id, first_name, last_name, email, role, is_active, last_login, created_at FROM users ORDER BY created_at DESC');
+        const { dietary = [], free_from = [] } = req.query;
+        const result = await query(`
+            SELECT m.*, c.name as category_name, c.color as category_color 
+            FROM menu_items m 
+            LEFT JOIN categories c ON m.category_id = c.id 
+            WHERE m.dietary_tags @> $1::text[] AND NOT (m.allergens && $2::text[])
+            ORDER BY m.created_at DESC
+        `, [dietary, free_from]);
         res.json(result.rows);
     } catch (err) {
-        console.error('Error fetching users:', err);
-        res.status(500).json({ error: 'Error fetching users' });
+        console.error('Error fetching menu items:', err);
+        res.status(500).json({ error: 'Error fetching menu items' });
     }
 });
 
-app.post('/api/users', requireAuth, async (req, res) => {
+app.post('/api/menu-items', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), upload.single('image'), validateRequest(SCHEMAS.createMenuItem), auditLog('menu_item'), async (req, res) => {
     try {
-        const { first_name, last_name, email, password, role } = req.body;
-        
-        if (!first_name || !last_name || !email || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
+        const { name, description, price, category_id, available, featured } = req.body;
+        const labels = menuItemLabels(req.body);
+        if (labels.error) {
+            return res.status(400).json({ error: labels.error, field: 'dietary_tags', errors: [{ field: 'dietary_tags', message: labels.error }] });
+        }
+        const pricing = menuItemPricing(req.body);
+        if (pricing.error) {
+            return res.status(400).json({ error: pricing.error, field: pricing.field, errors: [{ field: pricing.field, message: pricing.error }] });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 12);
         const id = uuidv4();
+        let imagePath = null;
+        
+        if (req.file) {
+            const processedPath = path.join(menuDir, `processed_${req.file.filename}`);
+            await processImage(req.file.path, processedPath, 600, 400, 85);
+            imagePath = `/uploads/menu/processed_${req.file.filename}`;
+        }
 
         const result = await query(
-            'INSERT INTO users (id, first_name, last_name, email, password_hash, role) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, first_name, last_name, email, role, is_active, created_at',
-            [id, first_name, last_name, email, hashedPassword, role || 'admin']
+            `INSERT INTO menu_items (id, name, description, price, category_id, image_path, available, featured, allergens, dietary_tags,
+                pricing_mode, min_quantity, serves, variants)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+            [id, name, description || null, price, category_id || null, imagePath, available !== false, featured === true, labels.allergens, labels.dietaryTags,
+                pricing.pricingMode, pricing.minQuantity, pricing.serves, JSON.stringify(pricing.variants)]
         );
 
         res.json(result.rows[0]);
     } catch (err) {
-        if (err.message.includes('duplicate key') || err.message.includes('UNIQUE constraint')) {
-            return res.status(409).json({ error: 'Email already exists' });
-        }
-        console.error('Error creating user:', err);
-        res.status(500).json({ error: 'Error creating user' });
+        console.error('Error creating menu item:', err);
+        res.status(500).json({ error: 'Error creating menu item' });
     }
 });
 
-app.put('/api/users/:id', requireAuth, async (req, res) => {
+app.put('/api/menu-items/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), upload.single('image'), validateRequest(SCHEMAS.updateMenuItem), auditLog('menu_item'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { first_name, last_name, email, role, is_active } = req.body;
+        const { name, description, price, category_id, available, featured } = req.body;
+        const labels = menuItemLabels(req.body);
+        if (labels.error) {
+            return res.status(400).json({ error: labels.error, field: 'dietary_tags', errors: [{ field: 'dietary_tags', message: labels.error }] });
+        }
+        const pricing = menuItemPricing(req.body);
+        if (pricing.error) {
+            return res.status(400).json({ error: pricing.error, field: pricing.field, errors: [{ field: pricing.field, message: pricing.error }] });
+        }
+
+        let imagePath = undefined;
         
-        const result = await query(
-            'UPDATE users SET first_name = $1, last_name = $2, email = $3, role = $4, is_active = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING id, first_name, last_name, email, role, is_active, created_at',
-            [first_name, last_name, email, role, is_active, id]
-        );
+        if (req.file) {
+            const processedPath = path.join(menuDir, `processed_${req.file.filename}`);
+            await processImage(req.file.path, processedPath, 600, 400, 85);
+            imagePath = `/uploads/menu/processed_${req.file.filename}`;
+        }
+
+        let updateQuery = 'UPDATE menu_items SET name = $1, description = $2, price = $3, category_id = $4, available = $5, featured = $6, allergens = $7, dietary_tags = $8, pricing_mode = $9, min_quantity = $10, serves = $11, variants = $12, updated_at = CURRENT_TIMESTAMP';
+        let params = [name, description, price, category_id || null, available !== false, featured === true, labels.allergens, labels.dietaryTags,
+            pricing.pricingMode, pricing.minQuantity, pricing.serves, JSON.stringify(pricing.variants)];
+        
+        if (imagePath) {
+            updateQuery += ', image_path = $13';
+            params.push(imagePath);
+        }
+        
+        updateQuery += ' WHERE id = $' + (params.length + 1) + ' RETURNING *';
+        params.push(id);
+
+        const result = await query(updateQuery, params);
         
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+            return res.status(404).json({ error: 'Menu item not found' });
         }
 
         res.json(result.rows[0]);
     } catch (err) {
-        console.error('Error updating user:', err);
-        res.status(500).json({ error: 'Error updating user' });
+        console.error('Error updating menu item:', err);
+        res.status(500).json({ error: 'Error updating menu item' });
     }
 });
 
-app.delete('/api/users/:id', requireAuth, async (req, res) => {
+app.delete('/api/menu-items/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.deleteMenuItem), auditLog('menu_item'), async (req, res) => {
     try {
         const { id } = req.params;
         
-        const result = await query('DELETE FROM users WHERE id = $1 RETURNING *', [id]);
+        const result = await query('DELETE FROM menu_items WHERE id = $1 RETURNING *', [id]);
         
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+
+        res.json({ message: 'Menu item deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting menu item:', err);
+        res.status(500).json({ error: 'Error deleting menu item' });
+    }
+});
+
+// Set menu routes
+
+// The courses from a set menu form, tidied and checked against the menu. Returns { courses } or { error }.
+async function menuPackageCourses(body) {
+    const courses = body.courses.map(course => ({
+        name: course.name.trim(),
+        ...(course.choose ? { choose: course.choose } : {}),
+        items: [...new Set(course.items.map(String))]
+    }));
+    const problem = await coursesProblem(courses);
+    return problem ? { error: problem } : { courses };
+}
+
+// Each course comes with its dishes (id, name, description, available and dietary labels)
+app.get('/api/menu-packages', async (req, res) => {
+    try {
+        res.json(await listPackages());
+    } catch (err) {
+        console.error('Error fetching set menus:', err);
+        res.status(500).json({ error: 'Error fetching set menus' });
+    }
+});
+
+app.post('/api/menu-packages', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.createMenuPackage), auditLog('menu_package'), async (req, res) => {
+    try {
+        const { name, description, price_per_person, min_guests, available, sort_order } = req.body;
+        const { courses, error } = await menuPackageCourses(req.body);
+        if (error) {
+            return res.status(400).json({ error, field: 'courses', errors: [{ field: 'courses', message: error }] });
+        }
+
+        const result = await query(`
+            INSERT INTO menu_packages (name, description, price_per_person, min_guests, courses, available, sort_order)
+            VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+        `, [name, description || null, price_per_person, min_guests || 1, JSON.stringify(courses), available !== false, sort_order || 0]);
+
+        res.status(201).json(await findPackage(result.rows[0].id));
+    } catch (err) {
+        console.error('Error creating set menu:', err);
+        res.status(500).json({ error: 'Error creating set menu' });
+    }
+});
+
+app.put('/api/menu-packages/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.updateMenuPackage), auditLog('menu_package'), async (req, res) => {
+    try {
+        const { name, description, price_per_person, min_guests, available, sort_order } = req.body;
+        const { courses, error } = await menuPackageCourses(req.body);
+        if (error) {
+            return res.status(400).json({ error, field: 'courses', errors: [{ field: 'courses', message: error }] });
+        }
+
+        const result = await query(`
+            UPDATE menu_packages
+            SET name = $1, description = $2, price_per_person = $3, min_guests = $4, courses = $5, available = $6,
+                sort_order = $7, updated_at = NOW()
+            WHERE id = $8 RETURNING id
+        `, [name, description || null, price_per_person, min_guests || 1, JSON.stringify(courses), available !== false, sort_order || 0, req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Set menu not found' });
+        }
+
+        res.json(await findPackage(req.params.id));
+    } catch (err) {
+        console.error('Error updating set menu:', err);
+        res.status(500).json({ error: 'Error updating set menu' });
+    }
+});
+
+app.delete('/api/menu-packages/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.deleteMenuPackage), auditLog('menu_package'), async (req, res) => {
+    try {
+        const result = await query('DELETE FROM menu_packages WHERE id = $1 RETURNING id', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Set menu not found' });
+        }
+
+        res.json({ message: 'Set menu deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting set menu:', err);
+        res.status(500).json({ error: 'Error deleting set menu' });
+    }
+});
+
+// Gallery routes
+app.get('/api/gallery', async (req, res) => {
+    try {
+        const result = await query('SELECT * FROM gallery_images ORDER BY created_at DESC');
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching gallery:', err);
+        res.status(500).json({ error: 'Error fetching gallery' });
+    }
+});
+
+app.post('/api/gallery', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), upload.array('images', 10), validateRequest(SCHEMAS.uploadGalleryImages), auditLog('gallery_image'), async (req, res) => {
+    try {
+        const { titles } = req.body;
+        const processedImages = [];
+        
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'At least one image is required' });
         }
 
-        res.json({ message: 'User deleted successfully' });
-    } catch (err) {
-        console.error('Error deleting user:', err);
-        res.status(500).json({ error: 'Error deleting user' });
+        for (let i = 0; i < req.files.length; i++) {
+            const file = req.files[i];
+            const title = Array.isArray(titles) ? titles[i] : `Gallery Image ${i + 1}`;
+            const id = uuidv4();
+            
+            const processedPath = path.join(galleryDir, `processed_${file.filename}`);
+            await processImage(file.path, processedPath, 800, 600, 90);
+            const imagePath = `/uploads/gallery/processed_${file.filename}`;
+
+            const result = await query(
+                'INSERT INTO gallery_images (id, title, image_path, type) VALUES ($1, $2, $3, $4) RETURNING *',
+                [id, title, imagePath, 'food']
+            );
+
+            processedImages.push(result.rows[0]);
+        }
+
+        res.json(processedImages);
+    } catch (err) {
+        console.error('Error uploading images:', err);
+        res.status(500).json({ error: 'Error uploading images' });
+    }
+});
+
+app.put('/api/gallery/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.updateGalleryImage), auditLog('gallery_image'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { title, description } = req.body;
+        
+        const result = await query(
+            'UPDATE gallery_images SET title = $1, description = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+            [title, description, id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Gallery image not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error('Error updating gallery image:', err);
+        res.status(500).json({ error: 'Error updating gallery image' });
+    }
+});
+
+app.delete('/api/gallery/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_menu), validateRequest(SCHEMAS.deleteGalleryImage), auditLog('gallery_image'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await query('DELETE FROM gallery_images WHERE id = $1 RETURNING *', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Gallery image not found' });
+        }
+
+        res.json({ message: 'Gallery image deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting gallery image:', err);
+        res.status(500).json({ error: 'Error deleting gallery image' });
+    }
+});
+
+// User management routes
+app.get('/api/users', requireAuth, requireRole(...ROLE_ACCESS.manage_users), async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT id, first_name, last_name, email, role, is_active, last_login, created_at,
+                totp_enabled_at IS NOT NULL as two_factor_enabled, two_factor_required
+            FROM users ORDER BY created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching users:', err);
+        res.status(500).json({ error: 'Error fetching users' });
+    }
+});
+
+// Invitations. The owner chooses the email and role, and the invitee chooses their own name and
+// password from the emailed link (accept-invite.html).
+async function sendInviteEmail(req, invite, token) {
+    await sendTemplateEmail('user-invite', {
+        inviter_name: `${req.session.user.first_name} ${req.session.user.last_name}`,
+        role: invite.role,
+        invite_link: `${siteUrl(req)}/accept-invite.html?token=${token}`,
+        expires_in: `${INVITE_EXPIRY_DAYS} day${INVITE_EXPIRY_DAYS === 1 ? '' : 's'}`
+    }, {
+        from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+        to: invite.email,
+        replyTo: BUSINESS_DETAILS.email
+    });
+}
+
+app.get('/api/users/invites', requireAuth, requireRole(...ROLE_ACCESS.manage_users), async (req, res) => {
+    try {
+        res.json({ invites: await listOpenInvites() });
+    } catch (err) {
+        console.error('Error fetching invitations:', err);
+        res.status(500).json({ error: 'Error fetching invitations' });
+    }
+});
+
+app.post('/api/users/invites', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.createInvite), auditLog('user_invite'), async (req, res) => {
+    try {
+        const { email, role } = req.body;
+
+        const existing = await query(`
+            SELECT
+                EXISTS (SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)) as has_account,
+                EXISTS (
+                    SELECT 1 FROM user_invites
+                    WHERE LOWER(email) = LOWER($1) AND accepted_at IS NULL AND revoked_at IS NULL
+                ) as has_invite
+        `, [email]);
+
+        if (existing.rows[0].has_account) {
+            return res.status(409).json({ error: 'There is already an account with this email' });
+        }
+        if (existing.rows[0].has_invite) {
+            return res.status(409).json({ error: 'This email has already been invited. Resend the invitation instead.' });
+        }
+
+        const { id, token } = await createInvite({ email, role, invitedBy: req.session.user.id });
+        const invite = await findInvite(id);
+        await sendInviteEmail(req, invite, token);
+
+        res.status(201).json(invite);
+    } catch (err) {
+        console.error('Error creating invitation:', err);
+        res.status(500).json({ error: 'Error creating invitation' });
+    }
+});
+
+// A new link with a new expiry. The old link stops working.
+app.post('/api/users/invites/:id/resend', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.getInvite), auditLog('user_invite', { action: 'send' }), async (req, res) => {
+    try {
+        const invite = await findInvite(req.params.id);
+
+        if (!invite || invite.accepted_at || invite.revoked_at) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        const token = await issueInviteToken(invite.id);
+        await sendInviteEmail(req, invite, token);
+
+        res.json(await findInvite(invite.id));
+    } catch (err) {
+        console.error('Error resending invitation:', err);
+        res.status(500).json({ error: 'Error resending invitation' });
+    }
+});
+
+// Revoked invitations are kept (for the audit log), but their link no longer works
+app.delete('/api/users/invites/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.getInvite), auditLog('user_invite', { action: 'revoke' }), async (req, res) => {
+    try {
+        const result = await query(
+            'UPDATE user_invites SET revoked_at = NOW() WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL RETURNING id',
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.json({ message: 'Invitation revoked' });
+    } catch (err) {
+        console.error('Error revoking invitation:', err);
+        res.status(500).json({ error: 'Error revoking invitation' });
+    }
+});
+
+// Fields left out keep their current value - the edit form doesn't send is_active
+app.put('/api/users/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.updateUser), auditLog('user'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { first_name, last_name, email, role, is_active, two_factor_required } = req.body;
+
+        // Owners can't demote or deactivate themselves, so there is always an owner left
+        if (id === req.session.user.id && ((role && role !== req.session.user.role) || is_active === false)) {
+            return res.status(409).json({ error: 'You cannot change your own role or deactivate your own account' });
+        }
+        
+        const result = await query(
+            `UPDATE users SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name),
+                email = COALESCE($3, email), role = COALESCE($4, role), is_active = COALESCE($5, is_active),
+                two_factor_required = COALESCE($6, two_factor_required), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $7
+             RETURNING id, first_name, last_name, email, role, is_active, created_at,
+                totp_enabled_at IS NOT NULL as two_factor_enabled, two_factor_required`,
+            [first_name, last_name, email, role, is_active, two_factor_required, id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // A deactivated account is signed out straight away. Someone newly required to use
+        // two-factor sign-in sets it up the next time they sign in.
+        const user = result.rows[0];
+        if (is_active === false) {
+            await endUserSessions(id);
+        } else if (two_factor_required === true && !user.two_factor_enabled) {
+            if (id === req.session.user.id) {
+                req.session.user.two_factor_setup_required = true;
+            } else {
+                await endUserSessions(id);
+            }
+        }
+
+        res.json(user);
+    } catch (err) {
+        console.error('Error updating user:', err);
+        res.status(500).json({ error: 'Error updating user' });
+    }
+});
+
+app.delete('/api/users/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.deleteUser), auditLog('user'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (id === req.session.user.id) {
+            return res.status(409).json({ error: 'You cannot delete your own account' });
+        }
+        
+        const result = await query('DELETE FROM users WHERE id = $1 RETURNING *', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await endUserSessions(id);
+
+        res.json({ message: 'User deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting user:', err);
+        res.status(500).json({ error: 'Error deleting user' });
+    }
+});
+
+// Anyone's sessions, for the owner to sign out a lost device or someone who has left
+app.get('/api/users/:id/sessions', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.getUserSessions), async (req, res) => {
+    try {
+        res.json({ sessions: await listUserSessions(req.params.id, req.sessionID) });
+    } catch (err) {
+        console.error('Error fetching user sessions:', err);
+        res.status(500).json({ error: 'Error fetching user sessions' });
+    }
+});
+
+app.delete('/api/users/:id/sessions', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.getUserSessions), auditLog('user', { action: 'sign_out' }), async (req, res) => {
+    try {
+        // The owner's own sessions, apart from this one
+        const ended = await endUserSessions(req.params.id, req.sessionID);
+        res.json({ message: `Signed out of ${ended} session${ended === 1 ? '' : 's'}`, ended });
+    } catch (err) {
+        console.error('Error ending user sessions:', err);
+        res.status(500).json({ error: 'Error ending user sessions' });
+    }
+});
+
+app.delete('/api/users/:id/sessions/:sid', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.endUserSession), auditLog('user', { action: 'sign_out' }), async (req, res) => {
+    try {
+        const sid = await endSession(req.params.id, req.params.sid);
+        if (!sid) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        forgetEndedSession(req, sid);
+        res.json({ message: 'Session signed out' });
+    } catch (err) {
+        console.error('Error ending user session:', err);
+        res.status(500).json({ error: 'Error ending user session' });
+    }
+});
+
+// For someone who has lost their phone and their recovery codes. If the account still requires
+// two-factor sign-in, they set it up again the next time they sign in.
+app.delete('/api/users/:id/two-factor', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.resetUserTwoFactor), auditLog('user', { action: 'reset_two_factor' }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await query('SELECT * FROM users WHERE id = $1', [id]);
+        const user = result.rows[0];
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.totp_enabled_at) {
+            return res.status(409).json({ error: 'This user doesn\'t have two-factor sign-in turned on' });
+        }
+
+        await clearTwoFactor(id);
+        await sendTwoFactorChangedEmail(user, req, 'reset by the site owner');
+
+        res.json({ message: `Two-factor sign-in has been reset for ${user.first_name} ${user.last_name}` });
+    } catch (err) {
+        console.error('Error resetting two-factor sign-in:', err);
+        res.status(500).json({ error: 'Error resetting two-factor sign-in' });
+    }
+});
+
+// Recent sign-in attempts, newest first, for spotting logins that weren't expected
+app.get('/api/admin/login-attempts', requireAuth, requireRole(...ROLE_ACCESS.manage_users), validateRequest(SCHEMAS.loginAttempts), async (req, res) => {
+    try {
+        const { search, success } = req.query;
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 50;
+
+        const conditions = [];
+        const params = [];
+
+        if (search && search.trim()) {
+            params.push(`%${search.trim()}%`);
+            conditions.push(`(la.email ILIKE $${params.length} OR la.ip_address ILIKE $${params.length})`);
+        }
+        if (success !== undefined && success !== '') {
+            params.push(success);
+            conditions.push(`la.success = $${params.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [result, countResult] = await Promise.all([
+            query(`
+                SELECT la.*, u.first_name || ' ' || u.last_name as user_name
+                FROM login_attempts la
+                LEFT JOIN users u ON la.user_id = u.id
+                ${whereClause}
+                ORDER BY la.created_at DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, (page - 1) * limit]),
+            query(`SELECT COUNT(*) as total FROM login_attempts la ${whereClause}`, params)
+        ]);
+
+        const total = parseInt(countResult.rows[0].total);
+
+        res.json({
+            attempts: result.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                total
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching sign-in history:', err);
+        res.status(500).json({ error: 'Error fetching sign-in history' });
+    }
+});
+
+// Audit log of admin changes, newest first. from/to are inclusive dates.
+app.get('/api/admin/audit', requireAuth, requireRole(...ROLE_ACCESS.view_audit), validateRequest(SCHEMAS.auditLog), async (req, res) => {
+    try {
+        const { entity_type, entity_id, user_id, action, from, to } = req.query;
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 50;
+
+        const conditions = [];
+        const params = [];
+
+        if (entity_type) {
+            params.push(entity_type);
+            conditions.push(`a.entity_type = $${params.length}`);
+        }
+        if (entity_id) {
+            params.push(entity_id);
+            conditions.push(`a.entity_id = $${params.length}`);
+        }
+        if (user_id) {
+            params.push(user_id);
+            conditions.push(`a.user_id = $${params.length}`);
+        }
+        if (action) {
+            params.push(action);
+            conditions.push(`a.action = $${params.length}`);
+        }
+        if (from) {
+            params.push(from);
+            conditions.push(`a.created_at >= $${params.length}::date`);
+        }
+        if (to) {
+            params.push(to);
+            conditions.push(`a.created_at < $${params.length}::date + 1`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [result, countResult] = await Promise.all([
+            query(`
+                SELECT a.*, u.first_name || ' ' || u.last_name as user_name
+                FROM audit_log a
+                LEFT JOIN users u ON a.user_id = u.id
+                ${whereClause}
+                ORDER BY a.created_at DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, (page - 1) * limit]),
+            query(`SELECT COUNT(*) as total FROM audit_log a ${whereClause}`, params)
+        ]);
+
+        const total = parseInt(countResult.rows[0].total);
+
+        res.json({
+            entries: result.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                total
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        res.status(500).json({ error: 'Error fetching audit log' });
+    }
+});
+
+// Stats route
+app.get('/api/stats', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), async (req, res) => {
+    try {
+        const [categories, menuItems, galleryImages, users, bookings] = await Promise.all([
+            query('SELECT COUNT(*) as count FROM categories'),
+            query('SELECT COUNT(*) as count FROM menu_items'),
+            query('SELECT COUNT(*) as count FROM gallery_images'),
+            query('SELECT COUNT(*) as count FROM users'),
+            query('SELECT COUNT(*) as count FROM bookings')
+        ]);
+
+        res.json({
+            categories: parseInt(categories.rows[0].count),
+            menu_items: parseInt(menuItems.rows[0].count),
+            gallery_images: parseInt(galleryImages.rows[0].count),
+            users: parseInt(users.rows[0].count),
+            bookings: parseInt(bookings.rows[0].count)
+        });
+    } catch (err) {
+        console.error('Error fetching stats:', err);
+        res.status(500).json({ error: 'Error fetching statistics' });
+    }
+});
+
+// The transitions allowed out of each booking status (the statuses are listed in schemas.js)
+const BOOKING_STATUS_TRANSITIONS = {
+    pending: ['quoted', 'confirmed', 'cancelled'],
+    quoted: ['pending', 'confirmed', 'cancelled'],
+    confirmed: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: ['pending']
+};
+
+function canTransitionBooking(fromStatus, toStatus) {
+    return (BOOKING_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Booking routes
+// Older intake endpoint with the booking table's field names - new clients use POST /api/v1/bookings
+app.post('/api/bookings', sanitizeFormBody, async (req, res) => {
+    try {
+        const result = await submitBooking(req, fromLegacyBody('catering', req.body));
+        if (result.body) return sendLegacyBookingError(res, 'catering', result);
+
+        res.json(result.booking || { reference: result.reference });
+    } catch (err) {
+        console.error('Error creating booking:', err);
+        res.status(500).json({ error: 'Error creating booking' });
+    }
+});
+
+app.get('/api/booking-statuses', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), (req, res) => {
+    res.json({
+        statuses: BOOKING_STATUSES,
+        transitions: BOOKING_STATUS_TRANSITIONS
+    });
+});
+
+app.get('/api/bookings', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT b.*, 
+                (SELECT COUNT(*) FROM booking_change_requests r WHERE r.booking_id = b.id AND r.status = 'pending')::int as pending_change_requests
+            FROM bookings b 
+            ORDER BY b.created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching bookings:', err);
+        res.status(500).json({ error: 'Error fetching bookings' });
+    }
+});
+
+app.get('/api/bookings/:id', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), validateRequest(SCHEMAS.getBooking), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await query('SELECT * FROM bookings WHERE id = $1', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error('Error fetching booking:', err);
+        res.status(500).json({ error: 'Error fetching booking' });
+    }
+});
+
+app.get('/api/bookings/:id/history', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), validateRequest(SCHEMAS.getBooking), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await query('SELECT id FROM bookings WHERE id = $1', [id]);
+
+        if (booking.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const result = await query(`
+            SELECT 
+                h.*,
+                u.first_name || ' ' || u.last_name as changed_by_name
+            FROM booking_status_history h
+            LEFT JOIN users u ON h.changed_by = u.id
+            WHERE h.booking_id = $1
+            ORDER BY h.created_at ASC
+        `, [id]);
+
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching booking history:', err);
+        res.status(500).json({ error: 'Error fetching booking history' });
+    }
+});
+
+app.put('/api/bookings/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.updateBooking), auditLog('booking'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, total_amount, additional_info, status_note } = req.body;
+
+        const current = await query('SELECT * FROM bookings WHERE id = $1', [id]);
+
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const currentStatus = current.rows[0].status || 'pending';
+        const statusChanged = Boolean(status) && status !== currentStatus;
+
+        if (statusChanged && !canTransitionBooking(currentStatus, status)) {
+            return res.status(409).json({
+                error: `Cannot move booking from ${currentStatus} to ${status}`,
+                current_status: currentStatus,
+                allowed_statuses: BOOKING_STATUS_TRANSITIONS[currentStatus] || []
+            });
+        }
+
+        // Confirming takes up the chef's day, so refuse to double-book it
+        if (statusChanged && status === 'confirmed') {
+            const eventDate = (current.rows[0].event_date || '').slice(0, 10);
+            if (await getRemainingCapacity(eventDate) === 0) {
+                return res.status(409).json({
+                    error: `${eventDate} is already fully booked with confirmed events`,
+                    current_status: currentStatus
+                });
+            }
+        }
+
+        // Only touch the fields that were actually sent
+        const updates = [];
+        const params = [];
+
+        if (statusChanged) {
+            params.push(status);
+            updates.push(`status = $${params.length}`);
+        }
+        if (total_amount !== undefined) {
+            params.push(total_amount === '' ? null : total_amount);
+            updates.push(`total_amount = $${params.length}`);
+        }
+        if (additional_info !== undefined) {
+            params.push(additional_info);
+            updates.push(`additional_info = $${params.length}`);
+        }
+
+        if (updates.length === 0) {
+            return res.json(current.rows[0]);
+        }
+
+        // The update and its status history row are saved together, or not at all
+        const client = await pool.connect();
+        let result;
+        try {
+            await client.query('BEGIN');
+
+            // Guard against a concurrent status change between the read and the write
+            params.push(id, current.rows[0].status);
+            result = await client.query(
+                `UPDATE bookings SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $${params.length - 1} AND status IS NOT DISTINCT FROM $${params.length} RETURNING *`,
+                params
+            );
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Booking was modified by someone else. Please reload and try again.' });
+            }
+
+            if (statusChanged) {
+                await client.query(
+                    'INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, changed_by_email, note) VALUES ($1, $2, $3, $4, $5, $6)',
+                    [id, currentStatus, status, req.session.user.id, req.session.user.email, status_note || null]
+                );
+            }
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error('Error updating booking:', err);
+        res.status(500).json({ error: 'Error updating booking' });
+    }
+});
+
+app.delete('/api/bookings/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.deleteBooking), auditLog('booking'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await query('DELETE FROM bookings WHERE id = $1 RETURNING *', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        res.json({ message: 'Booking deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting booking:', err);
+        res.status(500).json({ error: 'Error deleting booking' });
+    }
+});
+
+// Quote routes - admin builds versioned quotes for a booking, the client views and accepts them by link
+function formatRand(amount) {
+    return `R${parseFloat(amount || 0).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function quoteLink(req, token) {
+    return `${siteUrl(req)}/quote.html?token=${token}`;
+}
+
+// Validate the editable parts of a quote and work out its totals. Fields not sent come from `fallback`.
+function buildQuoteFields(body, fallback = {}) {
+    const { items, error } = normaliseLineItems(body.line_items !== undefined ? body.line_items : fallback.line_items);
+    if (error) return { error };
+
+    const depositPercentage = body.deposit_percentage !== undefined && body.deposit_percentage !== ''
+        ? parseFloat(body.deposit_percentage)
+        : parseFloat(fallback.deposit_percentage ?? DEFAULT_DEPOSIT_PERCENTAGE);
+    if (isNaN(depositPercentage) || depositPercentage < 0 || depositPercentage > 100) {
+        return { error: 'Deposit percentage must be between 0 and 100' };
+    }
+
+    const validUntil = body.valid_until || fallback.valid_until || addDays(today(), DEFAULT_VALIDITY_DAYS);
+    if (!isValidDate(validUntil)) {
+        return { error: 'Valid until must be a date in YYYY-MM-DD format' };
+    }
+
+    return {
+        fields: {
+            line_items: items,
+            ...calculateQuoteTotals(items, depositPercentage),
+            valid_until: validUntil,
+            notes: body.notes !== undefined ? body.notes || null : fallback.notes || null
+        }
+    };
+}
+
+const QUOTE_COLUMNS = `
+    q.*, to_char(q.valid_until, 'YYYY-MM-DD') as valid_until,
+    q.valid_until < CURRENT_DATE as expired
+`;
+
+app.get('/api/quote-settings', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), (req, res) => {
+    res.json({
+        vat_rate: VAT_RATE,
+        default_deposit_percentage: DEFAULT_DEPOSIT_PERCENTAGE,
+        default_valid_until: addDays(today(), DEFAULT_VALIDITY_DAYS),
+        line_categories: QUOTE_LINE_CATEGORIES,
+        statuses: QUOTE_STATUSES
+    });
+});
+
+app.get('/api/bookings/:id/quotes', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), validateRequest(SCHEMAS.getBooking), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await query('SELECT id FROM bookings WHERE id = $1', [id]);
+
+        if (booking.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const result = await query(`
+            SELECT ${QUOTE_COLUMNS}
+            FROM quotes q
+            WHERE q.booking_id = $1
+            ORDER BY q.version DESC
+        `, [id]);
+
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching quotes:', err);
+        res.status(500).json({ error: 'Error fetching quotes' });
+    }
+});
+
+// Create the next quote version. Line items default to the latest version, or the client's dishes.
+app.post('/api/bookings/:id/quotes', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.createQuote), auditLog('quote', { idParam: null }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await query('SELECT * FROM bookings WHERE id = $1', [id]);
+
+        if (booking.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const latest = await query(
+            'SELECT * FROM quotes WHERE booking_id = $1 ORDER BY version DESC LIMIT 1',
+            [id]
+        );
+        const latestQuote = latest.rows[0];
+
+        if (latestQuote && latestQuote.status === 'draft') {
+            return res.status(409).json({
+                error: `Version ${latestQuote.version} is still a draft. Edit or send it before starting a new version.`,
+                quote_id: latestQuote.id
+            });
+        }
+
+        // A new version starts from the previous one, but with a fresh validity date
+        const { fields, error } = buildQuoteFields(
+            req.body,
+            latestQuote
+                ? { line_items: latestQuote.line_items, deposit_percentage: latestQuote.deposit_percentage, notes: latestQuote.notes }
+                : { line_items: lineItemsFromBooking(booking.rows[0]) }
+        );
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await query(`
+            INSERT INTO quotes (
+                booking_id, version, token, line_items, subtotal, vat_rate, vat_amount, total,
+                deposit_percentage, deposit_amount, valid_until, notes, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING id
+        `, [
+            id,
+            latestQuote ? latestQuote.version + 1 : 1,
+            generateQuoteToken(),
+            JSON.stringify(fields.line_items),
+            fields.subtotal,
+            fields.vat_rate,
+            fields.vat_amount,
+            fields.total,
+            fields.deposit_percentage,
+            fields.deposit_amount,
+            fields.valid_until,
+            fields.notes,
+            req.session.user.id
+        ]);
+
+        const quote = await query(`SELECT ${QUOTE_COLUMNS} FROM quotes q WHERE q.id = $1`, [result.rows[0].id]);
+        res.status(201).json(quote.rows[0]);
+    } catch (err) {
+        console.error('Error creating quote:', err);
+        res.status(500).json({ error: 'Error creating quote' });
+    }
+});
+
+// Only drafts can be edited - a sent quote is what the client saw, so changes need a new version
+app.put('/api/admin/quotes/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.updateQuote), auditLog('quote'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const current = await query(`SELECT ${QUOTE_COLUMNS} FROM quotes q WHERE q.id = $1`, [id]);
+
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        if (current.rows[0].status !== 'draft') {
+            return res.status(409).json({ error: 'Only draft quotes can be edited. Create a new version instead.' });
+        }
+
+        const { fields, error } = buildQuoteFields(req.body, current.rows[0]);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await query(`
+            UPDATE quotes 
+            SET line_items = $1, subtotal = $2, vat_rate = $3, vat_amount = $4, total = $5,
+                deposit_percentage = $6, deposit_amount = $7, valid_until = $8, notes = $9,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $10
+        `, [
+            JSON.stringify(fields.line_items),
+            fields.subtotal,
+            fields.vat_rate,
+            fields.vat_amount,
+            fields.total,
+            fields.deposit_percentage,
+            fields.deposit_amount,
+            fields.valid_until,
+            fields.notes,
+            id
+        ]);
+
+        const quote = await query(`SELECT ${QUOTE_COLUMNS} FROM quotes q WHERE q.id = $1`, [id]);
+        res.json(quote.rows[0]);
+    } catch (err) {
+        console.error('Error updating quote:', err);
+        res.status(500).json({ error: 'Error updating quote' });
+    }
+});
+
+app.delete('/api/admin/quotes/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.getQuoteById), auditLog('quote'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await query("DELETE FROM quotes WHERE id = $1 AND status = 'draft' RETURNING id", [id]);
+
+        if (result.rows.length === 0) {
+            const exists = await query('SELECT id FROM quotes WHERE id = $1', [id]);
+            return exists.rows.length === 0
+                ? res.status(404).json({ error: 'Quote not found' })
+                : res.status(409).json({ error: 'Only draft quotes can be deleted' });
+        }
+
+        res.json({ message: 'Quote deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting quote:', err);
+        res.status(500).json({ error: 'Error deleting quote' });
+    }
+});
+
+// Email the quote link to the client. Sending a draft supersedes any earlier sent version.
+app.post('/api/admin/quotes/:id/send', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.getQuoteById), auditLog('quote', { action: 'send' }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const current = await query(`SELECT ${QUOTE_COLUMNS} FROM quotes q WHERE q.id = $1`, [id]);
+
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+
+        const quote = current.rows[0];
+
+        if (!['draft', 'sent'].includes(quote.status)) {
+            return res.status(409).json({ error: `This quote has already been ${quote.status}` });
+        }
+        if (quote.expired) {
+            return res.status(409).json({ error: 'This quote has expired. Update the valid until date or create a new version.' });
+        }
+
+        const bookingResult = await query('SELECT * FROM bookings WHERE id = $1', [quote.booking_id]);
+        const booking = bookingResult.rows[0];
+        const link = quoteLink(req, quote.token);
+
+        // The quote, the earlier versions it replaces and the booking's status change are saved together
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const sent = await client.query(
+                "UPDATE quotes SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status IN ('draft', 'sent') RETURNING id",
+                [id]
+            );
+
+            if (sent.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'This quote was changed by someone else. Please reload and try again.' });
+            }
+
+            await client.query(
+                "UPDATE quotes SET status = 'superseded', updated_at = CURRENT_TIMESTAMP WHERE booking_id = $1 AND status = 'sent' AND id <> $2",
+                [quote.booking_id, id]
+            );
+
+            // Move the booking along the pipeline when it's still waiting on a quote. The status guard
+            // leaves it alone if someone moved it elsewhere since it was read.
+            const bookingStatus = booking.status || 'pending';
+            if (bookingStatus !== 'quoted' && canTransitionBooking(bookingStatus, 'quoted')) {
+                const moved = await client.query(
+                    "UPDATE bookings SET status = 'quoted', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status IS NOT DISTINCT FROM $2 RETURNING id",
+                    [booking.id, booking.status]
+                );
+                if (moved.rows.length > 0) {
+                    await client.query(
+                        'INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, changed_by_email, note) VALUES ($1, $2, $3, $4, $5, $6)',
+                        [booking.id, bookingStatus, 'quoted', req.session.user.id, req.session.user.email, `Quote v${quote.version} sent`]
+                    );
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        await sendTemplateEmail('quote', {
+            customer_name: booking.customer_name,
+            event_type: booking.event_type || 'your event',
+            event_date: booking.event_date,
+            line_items: quote.line_items.map(item => ({ ...item, total: formatRand(item.total) })),
+            subtotal: formatRand(quote.subtotal),
+            vat_percentage: Math.round(quote.vat_rate * 100),
+            vat_amount: formatRand(quote.vat_amount),
+            total: formatRand(quote.total),
+            deposit_amount: formatRand(quote.deposit_amount),
+            deposit_percentage: parseFloat(quote.deposit_percentage),
+            valid_until: quote.valid_until,
+            link
+        }, {
+            from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+            to: booking.customer_email,
+            replyTo: BUSINESS_DETAILS.email
+        });
+
+        const updated = await query(`SELECT ${QUOTE_COLUMNS} FROM quotes q WHERE q.id = $1`, [id]);
+        res.json({ quote: updated.rows[0], link });
+    } catch (err) {
+        console.error('Error sending quote:', err);
+        res.status(500).json({ error: 'Error sending quote' });
+    }
+});
+
+// Public quote view for the client, looked up by the token in their email link
+app.get('/api/quotes/:token', validateRequest(SCHEMAS.getQuote), async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT 
+                ${QUOTE_COLUMNS},
+                b.customer_name, b.event_type, b.event_date, b.event_time, b.location
+            FROM quotes q
+            JOIN bookings b ON q.booking_id = b.id
+            WHERE q.token = $1 AND q.status <> 'draft'
+        `, [req.params.token]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+
+        const { id, booking_id, token, created_by, ...quote } = result.rows[0];
+        res.json(quote);
+    } catch (err) {
+        console.error('Error fetching quote:', err);
+        res.status(500).json({ error: 'Error fetching quote' });
+    }
+});
+
+app.post('/api/quotes/:token/accept', sanitizeFormBody, validateRequest(SCHEMAS.acceptQuote), async (req, res) => {
+    try {
+        const { accepted_by_name } = req.body;
+
+        const current = await query(`
+            SELECT ${QUOTE_COLUMNS}, b.customer_name, b.customer_email, b.event_date
+            FROM quotes q
+            JOIN bookings b ON q.booking_id = b.id
+            WHERE q.token = $1 AND q.status <> 'draft'
+        `, [req.params.token]);
+
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+
+        const quote = current.rows[0];
+
+        if (quote.status === 'accepted') {
+            return res.status(409).json({ error: 'This quote has already been accepted' });
+        }
+        if (quote.status === 'superseded') {
+            return res.status(409).json({ error: 'This quote has been replaced by a newer version. Please use the link in the latest email.' });
+        }
+        if (quote.expired) {
+            return res.status(409).json({ error: 'This quote has expired. Please contact us for an updated quote.' });
+        }
+
+        // Status guard so a double click can't accept twice
+        const result = await query(`
+            UPDATE quotes 
+            SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP, accepted_by_name = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND status = 'sent'
+            RETURNING id
+        `, [accepted_by_name.trim(), quote.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'This quote can no longer be accepted' });
+        }
+
+        try {
+            await sendTemplateEmail('quote-accepted-admin', {
+                accepted_by_name: accepted_by_name.trim(),
+                version: quote.version,
+                customer_name: quote.customer_name,
+                event_date: quote.event_date,
+                total: formatRand(quote.total),
+                deposit_amount: formatRand(quote.deposit_amount)
+            }, {
+                from: `"Chef Stefan Quotes" <${SENDER_ADDRESS}>`,
+                to: BUSINESS_DETAILS.email,
+                replyTo: quote.customer_email
+            });
+        } catch (emailError) {
+            console.error('Error sending quote acceptance email (quote still accepted):', emailError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Thank you! Your quote has been accepted. We will be in touch shortly about the deposit.'
+        });
+    } catch (err) {
+        console.error('Error accepting quote:', err);
+        res.status(500).json({ error: 'Error accepting quote' });
+    }
+});
+
+// Public availability calendar used by the booking forms
+app.get('/api/availability', validateRequest(SCHEMAS.availability), async (req, res) => {
+    try {
+        const { month } = req.query;
+
+        res.json(await getMonthAvailability(month));
+    } catch (err) {
+        console.error('Error fetching availability:', err);
+        res.status(500).json({ error: 'Error fetching availability' });
+    }
+});
+
+// Schedule routes (admin-managed blackout dates and working hours)
+// The formats are checked by SCHEMAS.createScheduleException - this checks the ranges make sense
+function validateScheduleException(body) {
+    const { start_date, end_date, type, start_time, end_time } = body;
+
+    if ((end_date || start_date) < start_date) {
+        return 'End date cannot be before start date';
+    }
+    if (type === 'custom_hours' && end_time <= start_time) {
+        return 'End time must be after start time';
+    }
+    return null;
+}
+
+const SCHEDULE_EXCEPTION_COLUMNS = `
+    id, type, start_time, end_time, reason, created_at, updated_at,
+    to_char(start_date, 'YYYY-MM-DD') as start_date,
+    to_char(end_date, 'YYYY-MM-DD') as end_date
+`;
+
+app.get('/api/admin/schedule', requireAuth, requireRole(...ROLE_ACCESS.view_schedule), async (req, res) => {
+    try {
+        const [hours, exceptions] = await Promise.all([
+            query('SELECT * FROM working_hours ORDER BY weekday'),
+            query(`
+                SELECT ${SCHEDULE_EXCEPTION_COLUMNS}
+                FROM schedule_exceptions
+                WHERE end_date >= CURRENT_DATE
+                ORDER BY start_date
+            `)
+        ]);
+
+        res.json({
+            working_hours: hours.rows,
+            exceptions: exceptions.rows
+        });
+    } catch (err) {
+        console.error('Error fetching schedule:', err);
+        res.status(500).json({ error: 'Error fetching schedule' });
+    }
+});
+
+app.get('/api/admin/schedule/exceptions', requireAuth, requireRole(...ROLE_ACCESS.view_schedule), validateRequest(SCHEMAS.listScheduleExceptions), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const params = [];
+        let whereClause = '';
+
+        if (from || to) {
+            params.push(from || '1970-01-01', to || '9999-12-31');
+            whereClause = 'WHERE start_date <= $2 AND end_date >= $1';
+        }
+
+        const result = await query(`
+            SELECT ${SCHEDULE_EXCEPTION_COLUMNS}
+            FROM schedule_exceptions
+            ${whereClause}
+            ORDER BY start_date
+        `, params);
+
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching schedule exceptions:', err);
+        res.status(500).json({ error: 'Error fetching schedule exceptions' });
+    }
+});
+
+app.post('/api/admin/schedule/exceptions', requireAuth, requireRole(...ROLE_ACCESS.manage_schedule), validateRequest(SCHEMAS.createScheduleException), auditLog('schedule_exception'), async (req, res) => {
+    try {
+        const error = validateScheduleException(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { start_date, end_date, start_time, end_time, reason } = req.body;
+        const type = req.body.type || 'holiday';
+        const isCustomHours = type === 'custom_hours';
+
+        const result = await query(`
+            INSERT INTO schedule_exceptions (start_date, end_date, type, start_time, end_time, reason, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING ${SCHEDULE_EXCEPTION_COLUMNS}
+        `, [
+            start_date,
+            end_date || start_date,
+            type,
+            isCustomHours ? start_time : null,
+            isCustomHours ? end_time : null,
+            reason || null,
+            req.session.user.id
+        ]);
+
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        console.error('Error creating schedule exception:', err);
+        res.status(500).json({ error: 'Error creating schedule exception' });
+    }
+});
+
+app.put('/api/admin/schedule/exceptions/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_schedule), validateRequest(SCHEMAS.updateScheduleException), auditLog('schedule_exception'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const error = validateScheduleException(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { start_date, end_date, start_time, end_time, reason } = req.body;
+        const type = req.body.type || 'holiday';
+        const isCustomHours = type === 'custom_hours';
+
+        const result = await query(`
+            UPDATE schedule_exceptions 
+            SET start_date = $1, end_date = $2, type = $3, start_time = $4, end_time = $5,
+                reason = $6, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $7
+            RETURNING ${SCHEDULE_EXCEPTION_COLUMNS}
+        `, [
+            start_date,
+            end_date || start_date,
+            type,
+            isCustomHours ? start_time : null,
+            isCustomHours ? end_time : null,
+            reason || null,
+            id
+        ]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Schedule exception not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error('Error updating schedule exception:', err);
+        res.status(500).json({ error: 'Error updating schedule exception' });
+    }
+});
+
+app.delete('/api/admin/schedule/exceptions/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_schedule), validateRequest(SCHEMAS.deleteScheduleException), auditLog('schedule_exception'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await query('DELETE FROM schedule_exceptions WHERE id = $1 RETURNING id', [id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Schedule exception not found' });
+        }
+
+        res.json({ message: 'Schedule exception deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting schedule exception:', err);
+        res.status(500).json({ error: 'Error deleting schedule exception' });
+    }
+});
+
+app.put('/api/admin/schedule/working-hours', requireAuth, requireRole(...ROLE_ACCESS.manage_schedule), validateRequest(SCHEMAS.updateWorkingHours), auditLog('working_hours', { requestIds: req => req.body.working_hours.map(day => day.weekday) }), async (req, res) => {
+    try {
+        const { working_hours } = req.body;
+
+        if (new Set(working_hours.map(day => day.weekday)).size !== working_hours.length) {
+            return res.status(400).json({ error: 'Each weekday can only appear once' });
+        }
+
+        const invalidDay = working_hours.findIndex(day => day.end_time <= day.start_time);
+        if (invalidDay !== -1) {
+            return res.status(400).json({ error: 'End time must be after start time', field: `working_hours[${invalidDay}].end_time` });
+        }
+
+        // One statement so the week is saved all-or-nothing
+        const params = [];
+        const values = working_hours.map(day => {
+            params.push(day.weekday, day.is_working !== false, day.start_time, day.end_time);
+            const i = params.length;
+            return `($${i - 3}, $${i - 2}, $${i - 1}, $${i}, CURRENT_TIMESTAMP)`;
+        });
+
+        await query(`
+            INSERT INTO working_hours (weekday, is_working, start_time, end_time, updated_at)
+            VALUES ${values.join(', ')}
+            ON CONFLICT (weekday) DO UPDATE 
+            SET is_working = EXCLUDED.is_working, start_time = EXCLUDED.start_time,
+                end_time = EXCLUDED.end_time, updated_at = CURRENT_TIMESTAMP
+        `, params);
+
+        const result = await query('SELECT * FROM working_hours ORDER BY weekday');
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error updating working hours:', err);
+        res.status(500).json({ error: 'Error updating working hours' });
+    }
+});
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        database: pool ? 'connected' : 'not connected'
+    });
+});
+
+// Public site address for links in customer emails
+function siteUrl(req) {
+    return (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+function bookingStatusLink(req, reference, email) {
+    return `${siteUrl(req)}/booking-status.html?reference=${encodeURIComponent(reference)}&email=${encodeURIComponent(email)}`;
+}
+
+function portalLink(req, token) {
+    return `${siteUrl(req)}/my-booking.html?token=${token}`;
+}
+
+// [label, value] pairs to the rows the details partial renders, skipping empty values
+function detailRows(details) {
+    return details
+        .filter(([, value]) => value)
+        .map(([label, value]) => ({ label, value: String(value) }));
+}
+
+// Dishes priced by pricing.js, with amounts formatted for the email templates
+function dishesForEmail(dishes) {
+    const units = { per_person: ' per person', per_platter: ' per platter' };
+    return dishes.map(dish => ({
+        dish: dishName(dish),
+        quantity: dish.quantity,
+        price: `${formatRand(dish.price)}${units[dish.pricing_mode] || ''}`,
+        total: formatRand(dish.totalPrice)
+    }));
+}
+
+// Auto-acknowledgement to the customer after an intake form or a change to their booking.
+// The admin side has already happened, so a failure here is logged rather than failing the request.
+async function sendCustomerAcknowledgement({ to, name, reference, heading, intro, details, detailsHeading = 'What you sent us', statusLink, manageLink, messageId }) {
+    try {
+        await sendTemplateEmail('customer-acknowledgement', {
+            title: heading,
+            name,
+            reference,
+            intro,
+            details_heading: detailsHeading,
+            details: detailRows(details),
+            status_link: statusLink,
+            manage_link: manageLink,
+            contact_note: reference ? `Please quote ${reference} in any correspondence.` : null
+        }, {
+            from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+            to,
+            replyTo: BUSINESS_DETAILS.email,
+            messageId
+        });
+    } catch (err) {
+        console.error('Error sending customer acknowledgement:', err);
+    }
+}
+
+// Email template previews, rendered with the sample data in templates/email/templates.json
+app.get('/api/admin/email-templates', requireAuth, requireRole(...ROLE_ACCESS.manage_email), async (req, res) => {
+    try {
+        res.json(await listEmailTemplates());
+    } catch (err) {
+        console.error('Error fetching email templates:', err);
+        res.status(500).json({ error: 'Error fetching email templates' });
+    }
+});
+
+app.get('/api/admin/email-templates/:name/preview', requireAuth, requireRole(...ROLE_ACCESS.manage_email), validateRequest(SCHEMAS.previewEmailTemplate), async (req, res) => {
+    try {
+        const email = await previewEmail(req.params.name);
+
+        if (req.query.format === 'json') {
+            return res.json(email);
+        }
+        if (req.query.format === 'text') {
+            return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+        }
+        res.type('html').send(email.html);
+    } catch (err) {
+        if (err.code === 'TEMPLATE_NOT_FOUND') {
+            return res.status(404).json({ error: 'Email template not found' });
+        }
+        // Usually a typo in a template the chef is editing, so say what it was
+        console.error('Error previewing email template:', err);
+        res.status(500).json({ error: `Error rendering email template: ${err.message}` });
+    }
+});
+
+// Messages captured by the in-memory mail transport (MAIL_TRANSPORT=memory), for tests
+app.get('/api/admin/sent-emails', requireAuth, requireRole(...ROLE_ACCESS.manage_email), validateRequest(SCHEMAS.sentEmails), (req, res) => {
+    if (MAIL_DRIVER !== 'memory') {
+        return res.status(404).json({ error: 'Sent emails are only kept when MAIL_TRANSPORT=memory' });
+    }
+    res.json(getSentMessages(req.query.to || null));
+});
+
+app.delete('/api/admin/sent-emails', requireAuth, requireRole(...ROLE_ACCESS.manage_email), (req, res) => {
+    if (MAIL_DRIVER !== 'memory') {
+        return res.status(404).json({ error: 'Sent emails are only kept when MAIL_TRANSPORT=memory' });
+    }
+    clearSentMessages();
+    res.json({ message: 'Sent emails cleared' });
+});
+
+// Email outbox - everything the site has sent or is still trying to send
+const OUTBOX_COLUMNS = `
+    id, template, reference, from_address, to_address, reply_to, subject, status,
+    attempts, last_error, next_attempt_at, sent_at, created_at, updated_at
+`;
+
+app.get('/api/admin/email-outbox', requireAuth, requireRole(...ROLE_ACCESS.manage_email), validateRequest(SCHEMAS.emailOutbox), async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const result = await query(`
+            SELECT ${OUTBOX_COLUMNS}
+            FROM email_outbox
+            WHERE ($1::text IS NULL OR status = $1)
+            ORDER BY created_at DESC
+            LIMIT 200
+        `, [status || null]);
+
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching email outbox:', err);
+        res.status(500).json({ error: 'Error fetching email outbox' });
+    }
+});
+
+// Send an email again now, whether it failed, is waiting for a retry or has already gone out
+app.post('/api/admin/email-outbox/:id/resend', requireAuth, requireRole(...ROLE_ACCESS.manage_email), validateRequest(SCHEMAS.resendEmail), auditLog('email', { action: 'resend' }), async (req, res) => {
+    try {
+        const result = await query(`
+            UPDATE email_outbox
+            SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND status <> 'sending'
+            RETURNING ${OUTBOX_COLUMNS}
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            const existing = await query('SELECT id FROM email_outbox WHERE id = $1', [req.params.id]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Email not found' });
+            }
+            return res.status(409).json({ error: 'This email is being sent right now' });
+        }
+
+        processOutbox(emailTransporter);
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error('Error resending email:', err);
+        res.status(500).json({ error: 'Error resending email' });
+    }
+});
+
+// Email endpoints
+app.post('/api/contact', sanitizeFormBody, validateRequest(SCHEMAS.contact), async (req, res) => {
+    try {
+        const { name, email, subject, message } = req.body;
+
+        const reference = await nextContactReference();
+
+        // Store in database before emailing, so the message is kept even if email is down
+        let contact;
+        try {
+            const result = await query(
+                'INSERT INTO contacts (name, email, subject, message, reference, created_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING id',
+                [name, email, subject, message, reference]
+            );
+            contact = result.rows[0];
+        } catch (dbError) {
+            console.log('Note: Contact not stored in database (table may not exist):', dbError.message);
+        }
+
+        // Send email
+        await sendTemplateEmail('contact-admin', { name, email, subject, message, reference }, {
+            from: `"Chef Stefan Website" <${SENDER_ADDRESS}>`,
+            to: BUSINESS_DETAILS.email,
+            replyTo: email
+        });
+
+        await sendCustomerAcknowledgement({
+            to: email,
+            name,
+            reference,
+            heading: 'We received your message',
+            intro: 'Thank you for contacting Private Chef Stefan. We will get back to you shortly.',
+            details: [
+                ['Subject', subject],
+                ['Message', message]
+            ],
+            // Inbox replies thread under this email in the customer's mail client
+            messageId: contact ? messageIdFor('contact', contact.id) : undefined
+        });
+
+        res.json({ success: true, message: 'Message sent successfully!', reference });
+
+    } catch (error) {
+        console.error('Error sending contact email:', error);
+        res.status(500).json({ error: 'Failed to send message. Please try again later.' });
+    }
+});
+
+// Contact inbox - contact form messages, worked through by the team
+const CONTACT_COLUMNS = `
+    c.*,
+    u.first_name || ' ' || u.last_name as assigned_to_name,
+    (SELECT COUNT(*)::int FROM contact_replies r WHERE r.contact_id = c.id) as reply_count,
+    (SELECT MAX(r.created_at) FROM contact_replies r WHERE r.contact_id = c.id) as last_reply_at
+`;
+
+async function findContact(id) {
+    const result = await query(`
+        SELECT ${CONTACT_COLUMNS}
+        FROM contacts c
+        LEFT JOIN users u ON c.assigned_to = u.id
+        WHERE c.id = $1
+    `, [id]);
+    return result.rows[0] || null;
+}
+
+app.get('/api/admin/contacts', requireAuth, requireRole(...ROLE_ACCESS.manage_inbox), validateRequest(SCHEMAS.listContacts), async (req, res) => {
+    try {
+        const { search, assigned_to } = req.query;
+        const status = req.query.status || CONTACT_FILTERS[0];
+
+        const conditions = [];
+        const params = [];
+
+        if (status === 'open') conditions.push('c.archived_at IS NULL');
+        if (status === 'unread') conditions.push('c.archived_at IS NULL AND c.read_at IS NULL');
+        if (status === 'archived') conditions.push('c.archived_at IS NOT NULL');
+
+        if (search && search.trim()) {
+            params.push(`%${search.trim()}%`);
+            conditions.push(`(
+                c.name ILIKE $${params.length} OR c.email ILIKE $${params.length} OR c.subject ILIKE $${params.length}
+                OR c.message ILIKE $${params.length} OR c.reference ILIKE $${params.length}
+            )`);
+        }
+
+        if (assigned_to === 'unassigned') {
+            conditions.push('c.assigned_to IS NULL');
+        } else if (assigned_to) {
+            params.push(assigned_to === 'me' ? req.session.user.id : assigned_to);
+            conditions.push(`c.assigned_to = $${params.length}`);
+        }
+
+        const result = await query(`
+            SELECT ${CONTACT_COLUMNS}
+            FROM contacts c
+            LEFT JOIN users u ON c.assigned_to = u.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY c.created_at DESC
+            LIMIT 200
+        `, params);
+
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching contacts:', err);
+        res.status(500).json({ error: 'Error fetching messages' });
+    }
+});
+
+// Who messages can be assigned to - active users whose role can work the inbox
+app.get('/api/admin/contacts/assignees', requireAuth, requireRole(...ROLE_ACCESS.manage_inbox), async (req, res) => {
+    try {
+        const result = await query(
+            'SELECT id, first_name, last_name FROM users WHERE is_active = true AND role = ANY($1) ORDER BY first_name, last_name',
+            [ROLE_ACCESS.manage_inbox]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching assignees:', err);
+        res.status(500).json({ error: 'Error fetching team members' });
+    }
+});
+
+// A message with its reply thread, oldest reply first
+app.get('/api/admin/contacts/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_inbox), validateRequest(SCHEMAS.getContact), async (req, res) => {
+    try {
+        const contact = await findContact(req.params.id);
+
+        if (!contact) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const replies = await query(`
+            SELECT
+                r.id, r.message, r.created_at,
+                u.first_name || ' ' || u.last_name as sent_by_name,
+                o.status as email_status
+            FROM contact_replies r
+            LEFT JOIN users u ON r.user_id = u.id
+            LEFT JOIN email_outbox o ON r.email_outbox_id = o.id
+            WHERE r.contact_id = $1
+            ORDER BY r.created_at ASC
+        `, [contact.id]);
+
+        res.json({ ...contact, replies: replies.rows });
+    } catch (err) {
+        console.error('Error fetching contact:', err);
+        res.status(500).json({ error: 'Error fetching message' });
+    }
+});
+
+// Mark read/unread, assign and archive. Only the fields sent are changed.
+app.put('/api/admin/contacts/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_inbox), validateRequest(SCHEMAS.updateContact), auditLog('contact'), async (req, res) => {
+    try {
+        const { read, archived, assigned_to } = req.body;
+        const updates = [];
+        const params = [req.params.id];
+
+        if (read !== undefined) {
+            updates.push(read ? 'read_at = COALESCE(read_at, NOW())' : 'read_at = NULL');
+        }
+        if (archived !== undefined) {
+            updates.push(archived ? 'archived_at = COALESCE(archived_at, NOW())' : 'archived_at = NULL');
+        }
+        if (assigned_to !== undefined) {
+            if (assigned_to) {
+                const user = await query('SELECT id FROM users WHERE id = $1 AND is_active = true', [assigned_to]);
+                if (user.rows.length === 0) {
+                    return res.status(400).json({ error: 'Messages can only be assigned to an active user' });
+                }
+            }
+            params.push(assigned_to || null);
+            updates.push(`assigned_to = $${params.length}`);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const result = await query(`
+            UPDATE contacts SET ${updates.join(', ')}, updated_at = NOW()
+            WHERE id = $1
+            RETURNING id
+        `, params);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        res.json(await findContact(req.params.id));
+    } catch (err) {
+        console.error('Error updating contact:', err);
+        res.status(500).json({ error: 'Error updating message' });
+    }
+});
+
+// Reply to the customer by email. The reply threads under our acknowledgement of their message,
+// and an unassigned message is assigned to whoever replied.
+app.post('/api/admin/contacts/:id/replies', requireAuth, requireRole(...ROLE_ACCESS.manage_inbox), validateRequest(SCHEMAS.replyToContact), auditLog('contact_reply', { action: 'send', idParam: null }), async (req, res) => {
+    try {
+        const message = req.body.message.trim();
+
+        if (!message) {
+            return res.status(400).json({ error: 'Please write a reply', field: 'message' });
+        }
+
+        const contact = await findContact(req.params.id);
+
+        if (!contact) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const user = req.session.user;
+        const sentByName = `${user.first_name} ${user.last_name}`.trim();
+
+        const result = await query(`
+            INSERT INTO contact_replies (contact_id, user_id, message)
+            VALUES ($1, $2, $3)
+            RETURNING id, message, created_at
+        `, [contact.id, user.id, message]);
+        const reply = result.rows[0];
+
+        const email = await sendTemplateEmail('contact-reply', {
+            name: contact.name,
+            subject: contact.subject,
+            reference: contact.reference,
+            message,
+            sent_by_name: sentByName,
+            original_message: contact.message,
+            original_date: new Date(contact.created_at).toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' }),
+            contact_note: contact.reference ? `Please quote ${contact.reference} in any correspondence.` : null
+        }, {
+            from: `"Private Chef Stefan" <${SENDER_ADDRESS}>`,
+            to: contact.email,
+            replyTo: BUSINESS_DETAILS.email,
+            messageId: messageIdFor('contact', contact.id, 'reply', reply.id),
+            inReplyTo: messageIdFor('contact', contact.id)
+        });
+
+        if (email) {
+            await query('UPDATE contact_replies SET email_outbox_id = $1 WHERE id = $2', [email.id, reply.id]);
+        }
+
+        await query(`
+            UPDATE contacts
+            SET read_at = COALESCE(read_at, NOW()), assigned_to = COALESCE(assigned_to, $2), updated_at = NOW()
+            WHERE id = $1
+        `, [contact.id, user.id]);
+
+        res.status(201).json({
+            ...reply,
+            sent_by_name: sentByName,
+            email_status: email ? 'pending' : 'sent'
+        });
+    } catch (err) {
+        console.error('Error replying to contact:', err);
+        res.status(500).json({ error: 'Error sending reply' });
+    }
+});
+
+// ======= BOOKING INTAKE =======
+// Every booking goes through submitBooking: POST /api/v1/bookings directly, and the older per-form
+// endpoints through adapters that map their fields onto the booking schema in booking-intake.js.
+
+// Admin email, customer acknowledgement and response wording for each booking source
+const BOOKING_INTAKE = {
+    table: {
+        template: 'table-booking-admin',
+        sender: 'Chef Stefan Bookings',
+        contactNote: 'We will contact you shortly to confirm your booking!',
+        heading: 'We received your booking request',
+        intro: 'Thank you for your booking request. We will contact you soon to confirm.',
+        message: 'Booking request sent successfully! We will contact you soon to confirm.'
+    },
+    catering: {
+        template: 'catering-admin',
+        sender: 'Chef Stefan Catering',
+        contactNote: 'We will contact you shortly to discuss your catering requirements!',
+        heading: 'We received your catering inquiry',
+        intro: 'Thank you for your catering inquiry. We will contact you shortly to discuss your requirements and send you a quote.',
+        message: 'Your catering inquiry has been sent successfully! We will contact you shortly to discuss your requirements.'
+    },
+    cart: {
+        template: 'cart-booking-admin',
+        sender: 'Chef Stefan Cart Booking',
+        contactNote: 'We will contact you shortly to discuss your menu and confirm all details!',
+        heading: 'We received your booking request',
+        intro: 'Thank you for your booking request. We will contact you shortly to confirm your reservation and discuss the final menu details.',
+        message: 'Your booking request has been sent successfully! We will contact you shortly to confirm your reservation and discuss the final menu details.'
+    }
+};
+
+// Dishes that don't suit the customer's dietary restrictions, going by the menu's allergen and
+// dietary labels. The booking still goes through - the chef is warned in the email.
+async function findDietaryConflicts(restrictions, items) {
+    if (!restrictions || items.length === 0) return [];
+
+    // A set menu is checked by the dishes served in it
+    const ids = items.flatMap(item => item.courses
+        ? item.courses.flatMap(course => course.dishes.map(dish => dish.id))
+        : [item.id]);
+    const result = await query(
+        'SELECT id, name as dish, allergens, dietary_tags FROM menu_items WHERE id = ANY($1)',
+        [ids]
+    );
+    return dietaryConflicts(restrictions, result.rows);
+}
+
+// What the public intake endpoints send back about a stored booking. The row itself holds the
+// portal link token and admin-only columns, so it never goes to the customer as a whole.
+const BOOKING_RECEIPT_FIELDS = ['reference', 'status', 'source', 'event_date', 'event_time', 'guest_count', 'total_amount', 'created_at'];
+
+// Copy just the receipt fields of a booking row, with null for any the row lacks
+function bookingReceipt(booking) {
+    return Object.fromEntries(BOOKING_RECEIPT_FIELDS.map(field => [field, booking[field] === undefined ? null : booking[field]]));
+}
+
+// Validate, check availability, price, store and email a booking request. Returns { status, body }
+// when the request is rejected, otherwise { booking, reference, message, dietaryWarnings }.
+async function submitBooking(req, body) {
+    const validation = validateBooking(body);
+    if (validation.errors) {
+        const [first] = validation.errors;
+        return { status: 400, body: { error: first.message, field: first.field, errors: validation.errors } };
+    }
+
+    const booking = validation.values;
+    const intake = BOOKING_INTAKE[booking.source];
+
+    // Reject dates the chef can't take (fully booked, blackout, closed, too soon or outside working hours)
+    try {
+        const availability = await checkDateAvailability(booking.event_date, booking.event_time);
+        if (!availability.available) {
+            return {
+                status: 409,
+                body: { error: availability.message, reason: availability.reason, date: booking.event_date }
+            };
+        }
+    } catch (err) {
+        // Don't lose a lead because the availability lookup failed
+        console.error('Error checking date availability:', err);
+    }
+
+    // Price the dishes against the menu - the browser's prices and totals are never trusted
+    const pricing = await priceSelectedDishes(booking.selected_dishes, booking.guest_count);
+    if (pricing.error) {
+        return { status: pricing.status, body: { error: pricing.error, unavailable_items: pricing.unavailable_items } };
+    }
+
+    const dietaryWarnings = (await findDietaryConflicts(booking.dietary_restrictions, pricing.items))
+        .map(conflict => conflict.message);
+
+    const reference = await nextBookingReference();
+    const portalToken = generatePortalToken();
+
+    // Store in database first - the booking is kept even if email is down. If the insert fails the
+    // error reaches the endpoint's 500, so nobody is emailed a reference that can't be looked up.
+    const stored = await insertBooking(booking, {
+        selectedDishes: pricing.items,
+        totalAmount: pricing.total,
+        reference,
+        portalToken
+    });
+
+    await sendTemplateEmail(intake.template, {
+        ...booking,
+        reference,
+        event_date_long: new Date(booking.event_date).toLocaleDateString('en-ZA', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        }),
+        dishes: dishesForEmail(pricing.items),
+        total_amount: pricing.total ? formatRand(pricing.total) : null,
+        dietary_warnings: dietaryWarnings,
+        contact_note: intake.contactNote
+    }, {
+        from: `"${intake.sender}" <${SENDER_ADDRESS}>`,
+        to: BUSINESS_DETAILS.email,
+        replyTo: booking.customer_email
+    });
+
+    await sendCustomerAcknowledgement({
+        to: booking.customer_email,
+        name: booking.customer_name,
+        reference,
+        heading: intake.heading,
+        intro: intake.intro,
+        details: [
+            ['Event Type', booking.event_type],
+            ['Event Date', booking.event_date],
+            ['Event Time', booking.event_time],
+            ['Guests', booking.guest_count],
+            ['Location', booking.location],
+            ['Meal Type', booking.meal_type],
+            ['Occasion', booking.occasion],
+            ['Dietary Restrictions', booking.dietary_restrictions],
+            ['Food Style', booking.food_style],
+            ['Selected Dishes', pricing.items.map(dish => `${dishName(dish)} (${dish.quantity}x) - R${dish.totalPrice.toLocaleString()}`).join('\n')],
+            ['Estimated Total', pricing.total ? `R${pricing.total.toLocaleString()}` : null],
+            ['Additional Information', booking.additional_info]
+        ],
+        statusLink: bookingStatusLink(req, reference, booking.customer_email),
+        manageLink: portalLink(req, portalToken)
+    });
+
+    return { booking: bookingReceipt(stored), reference, message: intake.message, dietaryWarnings };
+}
+
+// Rejections from the older endpoints name the fields the way that form sent them
+function sendLegacyBookingError(res, source, result) {
+    const body = { ...result.body };
+    if (body.errors) {
+        body.errors = body.errors.map(error => ({ ...error, field: toLegacyField(source, error.field) }));
+        body.field = body.errors[0].field;
+    }
+    res.status(result.status).json(body);
+}
+
+app.get('/api/v1/bookings/schema', (req, res) => {
+    res.json(BOOKING_SCHEMA);
+});
+
+app.post('/api/v1/bookings', sanitizeFormBody, async (req, res) => {
+    try {
+        const result = await submitBooking(req, req.body);
+        if (result.body) return res.status(result.status).json(result.body);
+
+        res.status(201).json({
+            success: true,
+            message: result.message,
+            reference: result.reference,
+            booking: result.booking,
+            dietary_warnings: result.dietaryWarnings
+        });
+    } catch (error) {
+        console.error('Error processing booking request:', error);
+        res.status(500).json({ error: 'Failed to process booking request. Please try again later.' });
+    }
+});
+
+app.post('/api/book-table', sanitizeFormBody, async (req, res) => {
+    try {
+        const result = await submitBooking(req, fromLegacyBody('table', req.body));
+        if (result.body) return sendLegacyBookingError(res, 'table', result);
+
+        res.json({ success: true, message: result.message, reference: result.reference });
+    } catch (error) {
+        console.error('Error processing booking:', error);
+        res.status(500).json({ error: 'Failed to process booking. Please try again later.' });
+    }
+});
+
+// Catering inquiry endpoint (the catering form on the website)
+app.post('/api/catering-inquiry', sanitizeFormBody, async (req, res) => {
+    try {
+        const result = await submitBooking(req, fromLegacyBody('catering', req.body));
+        if (result.body) return sendLegacyBookingError(res, 'catering', result);
+
+        res.json({ success: true, message: result.message, reference: result.reference, booking: result.booking });
+    } catch (error) {
+        console.error('Error processing catering inquiry:', error);
+        res.status(500).json({ error: 'Failed to process catering inquiry. Please try again later.' });
     }
 });
 
-// Stats route
-app.get('/api/stats', requireAuth, async (req, res) => {
+// Cart booking endpoint (the booking form in the menu cart)
+app.post('/api/cart-booking', sanitizeFormBody, async (req, res) => {
     try {
-        const [categories, menuItems, galleryImages, users, bookings] = await Promise.all([
-            query('SELECT COUNT(*) as count FROM categories'),
-            query('SELECT COUNT(*) as count FROM menu_items'),
-            query('SELECT COUNT(*) as count FROM gallery_images'),
-            query('SELECT COUNT(*) as count FROM users'),
-            query('SELECT COUNT(*) as count FROM bookings')
-        ]);
+        const result = await submitBooking(req, fromLegacyBody('cart', req.body));
+        if (result.body) return sendLegacyBookingError(res, 'cart', result);
 
         res.json({
-            categories: parseInt(categories.rows[0].count),
-            menu_items: parseInt(menuItems.rows[0].count),
-            gallery_images: parseInt(galleryImages.rows[0].count),
-            users: parseInt(users.rows[0].count),
-            bookings: parseInt(bookings.rows[0].count)
+            success: true,
+            message: result.message,
+            reference: result.reference,
+            booking: result.booking,
+            dietary_warnings: result.dietaryWarnings
         });
-    } catch (err) {
-        console.error('Error fetching stats:', err);
-        res.status(500).json({ error: 'Error fetching statistics' });
+    } catch (error) {
+        console.error('Error processing cart booking:', error);
+        res.status(500).json({ error: 'Failed to process booking request. Please try again later.' });
     }
 });
 
-// Booking routes
-app.post('/api/bookings', async (req, res) => {
+// Public booking status lookup - the reference and email together act as the key
+app.get('/api/booking-status', validateRequest(SCHEMAS.bookingStatus), async (req, res) => {
     try {
-        const {
-            customer_name, customer_email, customer_phone, event_type,
-            event_date, event_time, location, meal_type, occasion,
-            dietary_restrictions, food_style, additional_info,
-            selected_dishes, total_amount
-        } = req.body;
-        
-        if (!customer_name || !customer_email || !customer_phone || !event_date) {
-            return res.status(400).json({ error: 'Required fields are missing' });
+        const { reference, email } = req.query;
+
+        if (!isValidReference(reference)) {
+            return res.status(400).json({ error: 'Please provide your booking reference and email address' });
         }
 
-        const id = uuidv4();
+        const result = await query(`
+            SELECT reference, status, event_type, event_date, event_time, created_at
+            FROM bookings
+            WHERE UPPER(reference) = UPPER($1) AND LOWER(customer_email) = LOWER($2)
+        `, [reference.trim(), email.trim()]);
 
-        const result = await query(
-            `INSERT INTO bookings (
-                id, customer_name, customer_email, customer_phone, event_type,
-                event_date, event_time, location, meal_type, occasion,
-                dietary_restrictions, food_style, additional_info,
-                selected_dishes, total_amount
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
-            [
-                id, customer_name, customer_email, customer_phone, event_type,
-                event_date, event_time, location, meal_type, occasion,
-                dietary_restrictions, food_style, additional_info,
-                selected_dishes, total_amount
-            ]
-        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "We couldn't find a booking with that reference and email" });
+        }
 
-        res.json(result.rows[0]);
-    } catch (err) {
-        console.error('Error creating booking:', err);
-        res.status(500).json({ error: 'Error creating booking' });
+        const booking = result.rows[0];
+        res.json({ ...booking, status: booking.status || 'pending' });
+    } catch (error) {
+        console.error('Error looking up booking status:', error);
+        res.status(500).json({ error: 'Error looking up booking status' });
     }
 });
 
-app.get('/api/bookings', requireAuth, async (req, res) => {
-    try {
-        const result = await query('SELECT * FROM bookings ORDER BY created_at DESC');
-        res.json(result.rows);
-    } catch (err) {
-        console.error('Error fetching bookings:', err);
-        res.status(500).json({ error: 'Error fetching bookings' });
+// ======= CUSTOMER BOOKING PORTAL =======
+// Customers open their booking from a magic link. Nothing they do there edits the booking directly -
+// changes and cancellations are stored as requests for an admin to approve or decline.
+
+function formatChangeRequest(row) {
+    return { ...row, requested_dishes: row.requested_dishes ? parseSelectedDishes(row.requested_dishes) : null };
+}
+
+// Label/value rows describing a change request, shared by the admin and customer emails
+function describeChangeRequest(changeRequest) {
+    const dishes = changeRequest.requested_dishes ? parseSelectedDishes(changeRequest.requested_dishes) : [];
+    return [
+        ['Request', changeRequest.type === 'cancel' ? 'Cancel booking' : 'Change booking'],
+        ['New Date', changeRequest.requested_event_date],
+        ['New Time', changeRequest.requested_event_time],
+        ['Guests', changeRequest.requested_guest_count],
+        ['Dishes', dishes.map(dish => `${dishName(dish)} (${dish.quantity}x)`).join('\n')],
+        ['New Estimated Total', changeRequest.requested_total ? formatRand(changeRequest.requested_total) : null],
+        ['Message', changeRequest.message]
+    ];
+}
+
+async function findPortalBooking(token) {
+    if (!token || !/^[a-f0-9]{48}$/.test(token)) return null;
+    const result = await query('SELECT * FROM bookings WHERE portal_token = $1', [token]);
+    return result.rows[0] || null;
+}
+
+async function sendChangeRequestOutcome(req, booking, changeRequest) {
+    const approved = changeRequest.status === 'approved';
+    const isCancel = changeRequest.type === 'cancel';
+
+    let heading;
+    if (isCancel) {
+        heading = approved ? 'Your booking has been cancelled' : 'Your cancellation request was declined';
+    } else {
+        heading = approved ? 'Your booking has been updated' : 'Your change request was declined';
     }
-});
 
-app.get('/api/bookings/:id', requireAuth, async (req, res) => {
+    await sendCustomerAcknowledgement({
+        to: booking.customer_email,
+        name: booking.customer_name,
+        reference: booking.reference,
+        heading,
+        intro: approved
+            ? 'Chef Stefan has approved your request. The details are below.'
+            : 'Unfortunately Chef Stefan was unable to approve your request, so your booking stays as it was. Please get in touch if you would like to discuss it.',
+        detailsHeading: 'Your request',
+        details: [
+            ...describeChangeRequest(changeRequest),
+            ['Note from Chef Stefan', changeRequest.admin_note]
+        ],
+        manageLink: booking.portal_token ? portalLink(req, booking.portal_token) : null
+    });
+}
+
+// Booking as the customer sees it in the portal
+app.get('/api/portal/:token', validateRequest(SCHEMAS.getPortalBooking), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        const result = await query('SELECT * FROM bookings WHERE id = $1', [id]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Booking not found' });
+        const booking = await findPortalBooking(req.params.token);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'This booking link is invalid. Please use the link from your email.' });
         }
 
-        res.json(result.rows[0]);
-    } catch (err) {
-        console.error('Error fetching booking:', err);
+        const changeRequests = await query(`
+            SELECT id, type, status, requested_event_date, requested_event_time, requested_guest_count,
+                   requested_dishes, requested_total, message, admin_note, reviewed_at, created_at
+            FROM booking_change_requests
+            WHERE booking_id = $1
+            ORDER BY created_at DESC
+        `, [booking.id]);
+
+        const blockedReason = changeBlockedReason(booking);
+
+        res.json({
+            reference: booking.reference,
+            status: booking.status || 'pending',
+            customer_name: booking.customer_name,
+            event_type: booking.event_type,
+            event_date: booking.event_date,
+            event_time: booking.event_time,
+            location: booking.location,
+            occasion: booking.occasion,
+            dietary_restrictions: booking.dietary_restrictions,
+            guest_count: booking.guest_count,
+            selected_dishes: parseSelectedDishes(booking.selected_dishes),
+            total_amount: booking.total_amount,
+            change_requests: changeRequests.rows.map(formatChangeRequest),
+            can_request_changes: !blockedReason,
+            change_blocked_reason: blockedReason,
+            change_deadline: changeDeadline(booking.event_date),
+            change_cutoff_days: CHANGE_CUTOFF_DAYS
+        });
+    } catch (error) {
+        console.error('Error fetching portal booking:', error);
         res.status(500).json({ error: 'Error fetching booking' });
     }
 });
 
-app.put('/api/bookings/:id', requireAuth, async (req, res) => {
+app.post('/api/portal/:token/change-requests', sanitizeFormBody, validateRequest(SCHEMAS.createChangeRequest), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status, total_amount, additional_info } = req.body;
-        
-        const result = await query(
-            'UPDATE bookings SET status = $1, total_amount = $2, additional_info = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-            [status, total_amount, additional_info, id]
+        const { type, event_date, event_time, guest_count, selected_dishes, message } = req.body;
+
+        const booking = await findPortalBooking(req.params.token);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'This booking link is invalid. Please use the link from your email.' });
+        }
+
+        const blockedReason = changeBlockedReason(booking);
+        if (blockedReason) {
+            return res.status(409).json({ error: blockedReason });
+        }
+
+        const pending = await query(
+            "SELECT id FROM booking_change_requests WHERE booking_id = $1 AND status = 'pending'",
+            [booking.id]
         );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Booking not found' });
+        if (pending.rows.length > 0) {
+            return res.status(409).json({ error: 'You already have a request waiting for review. We will be in touch soon.' });
         }
 
-        res.json(result.rows[0]);
-    } catch (err) {
-        console.error('Error updating booking:', err);
-        res.status(500).json({ error: 'Error updating booking' });
+        const requested = {
+            event_date: null,
+            event_time: null,
+            guest_count: null,
+            dishes: null,
+            total: null
+        };
+
+        if (type === 'change') {
+            const currentDate = (booking.event_date || '').slice(0, 10);
+
+            if (event_time && event_time !== booking.event_time) {
+                requested.event_time = event_time;
+            }
+
+            if (event_date && event_date !== currentDate) {
+                const availability = await checkDateAvailability(event_date, event_time || booking.event_time);
+                if (!availability.available) {
+                    return res.status(409).json({ error: availability.message, reason: availability.reason, date: event_date });
+                }
+                requested.event_date = event_date;
+            }
+
+            if (guest_count && guest_count !== booking.guest_count) {
+                requested.guest_count = guest_count;
+            }
+
+            // A new guest count changes what per person dishes and platters come to, so the
+            // booked dishes are re-priced even when the customer didn't change them
+            const currentDishes = parseSelectedDishes(booking.selected_dishes);
+            const dishes = selected_dishes || (requested.guest_count && currentDishes.length > 0 ? currentDishes : null);
+
+            if (dishes) {
+                const pricing = await priceSelectedDishes(dishes, requested.guest_count || booking.guest_count);
+                if (pricing.error) {
+                    return res.status(pricing.status).json({ error: pricing.error, unavailable_items: pricing.unavailable_items });
+                }
+                if (pricing.items.length === 0) {
+                    return res.status(400).json({ error: 'Please choose at least one dish, or request a cancellation instead' });
+                }
+
+                const dishKey = items => items
+                    .map(dish => `${dish.id || dish.package_id}:${dish.variant || ''}:${[...(dish.choices || [])].sort().join('+')}:${dish.quantity}`)
+                    .sort().join(',');
+                if (dishKey(pricing.items) !== dishKey(currentDishes)) {
+                    requested.dishes = JSON.stringify(pricing.items);
+                    requested.total = pricing.total;
+                }
+            }
+
+            if (!requested.event_date && !requested.event_time && !requested.guest_count && !requested.dishes) {
+                return res.status(400).json({ error: 'Please tell us what you would like to change' });
+            }
+        }
+
+        const result = await query(`
+            INSERT INTO booking_change_requests (
+                booking_id, type, requested_event_date, requested_event_time,
+                requested_guest_count, requested_dishes, requested_total, message
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+        `, [
+            booking.id, type, requested.event_date, requested.event_time,
+            requested.guest_count, requested.dishes, requested.total, message || null
+        ]);
+        const changeRequest = result.rows[0];
+
+        // The request is saved, so a failed notification shouldn't be reported to the customer
+        try {
+            await sendTemplateEmail('change-request-admin', {
+                title: type === 'cancel' ? 'Cancellation Request' : 'Change Request',
+                action: type === 'cancel' ? 'cancel' : 'change',
+                customer_name: booking.customer_name,
+                reference: booking.reference || booking.id,
+                event_date: booking.event_date,
+                details: detailRows(describeChangeRequest(changeRequest))
+            }, {
+                from: `"Chef Stefan Bookings" <${SENDER_ADDRESS}>`,
+                to: BUSINESS_DETAILS.email,
+                replyTo: booking.customer_email
+            });
+        } catch (emailError) {
+            console.error('Error sending change request notification:', emailError);
+        }
+
+        res.status(201).json(formatChangeRequest(changeRequest));
+    } catch (error) {
+        console.error('Error creating change request:', error);
+        res.status(500).json({ error: 'Error submitting your request. Please try again later.' });
     }
 });
 
-app.delete('/api/bookings/:id', requireAuth, async (req, res) => {
+// Admin side of the portal
+app.get('/api/admin/change-requests', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), validateRequest(SCHEMAS.listChangeRequests), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        const result = await query('DELETE FROM bookings WHERE id = $1 RETURNING *', [id]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Booking not found' });
-        }
+        const { status } = req.query;
 
-        res.json({ message: 'Booking deleted successfully' });
+        const result = await query(`
+            SELECT r.*, b.customer_name, b.reference, b.event_date, b.event_time
+            FROM booking_change_requests r
+            JOIN bookings b ON r.booking_id = b.id
+            ${status ? 'WHERE r.status = $1' : ''}
+            ORDER BY r.created_at DESC
+        `, status ? [status] : []);
+
+        res.json(result.rows.map(formatChangeRequest));
     } catch (err) {
-        console.error('Error deleting booking:', err);
-        res.status(500).json({ error: 'Error deleting booking' });
+        console.error('Error fetching change requests:', err);
+        res.status(500).json({ error: 'Error fetching change requests' });
     }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        database: pool ? 'connected' : 'not connected'
-    });
-});
-
-// Email endpoints
-app.post('/api/contact', async (req, res) => {
+app.get('/api/bookings/:id/change-requests', requireAuth, requireRole(...ROLE_ACCESS.view_bookings), validateRequest(SCHEMAS.getBooking), async (req, res) => {
     try {
-        const { name, email, subject, message } = req.body;
-
-        // Validation
-        if (!name || !email || !subject || !message) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-
-        // Email template for contact form
-        const emailHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: linear-gradient(135deg, #cda45e 0%, #d9ba85 100%); padding: 30px; text-align: center;">
-                    <h1 style="color: #1a1814; margin: 0; font-size: 24px;">New Contact Form Submission</h1>
-                </div>
-                <div style="padding: 30px; background: #ffffff;">
-                    <h2 style="color: #1a1814; border-bottom: 2px solid #cda45e; padding-bottom: 10px;">Contact Details</h2>
-                    
-                    <div style="margin-bottom: 20px;">
-                        <strong style="color: #1a1814;">Name:</strong> ${name}
-                    </div>
-                    
-                    <div style="margin-bottom: 20px;">
-                        <strong style="color: #1a1814;">Email:</strong> ${email}
-                    </div>
-                    
-                    <div style="margin-bottom: 20px;">
-                        <strong style="color: #1a1814;">Subject:</strong> ${subject}
-                    </div>
-                    
-                    <div style="margin-bottom: 20px;">
-                        <strong style="color: #1a1814;">Message:</strong>
-                        <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                            ${message.replace(/\n/g, '<br>')}
-                        </div>
-                    </div>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666;">
-                        <p>This message was sent from the Private Chef Stefan website contact form.</p>
-                        <p>Received on: ${new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' })}</p>
-                    </div>
-                </div>
-            </div>
-        `;
+        const { id } = req.params;
 
-        // Send email
-        await emailTransporter.sendMail({
-            from: `"Chef Stefan Website" <${process.env.SMTP_USER}>`,
-            to: 'info@privatechefstefan.co.za',
-            replyTo: email,
-            subject: `Contact Form: ${subject}`,
-            html: emailHtml
-        });
+        const booking = await query('SELECT id FROM bookings WHERE id = $1', [id]);
 
-        // Store in database (optional - you can add a contacts table if needed)
-        try {
-            await query(
-                'INSERT INTO contacts (name, email, subject, message, created_at) VALUES ($1, $2, $3, $4, NOW())',
-                [name, email, subject, message]
-            );
-        } catch (dbError) {
-            console.log('Note: Contact not stored in database (table may not exist):', dbError.message);
+        if (booking.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
         }
 
-        res.json({ success: true, message: 'Message sent successfully!' });
+        const result = await query(`
+            SELECT 
+                r.*,
+                u.first_name || ' ' || u.last_name as reviewed_by_name
+            FROM booking_change_requests r
+            LEFT JOIN users u ON r.reviewed_by = u.id
+            WHERE r.booking_id = $1
+            ORDER BY r.created_at DESC
+        `, [id]);
 
-    } catch (error) {
-        console.error('Error sending contact email:', error);
-        res.status(500).json({ error: 'Failed to send message. Please try again later.' });
+        res.json(result.rows.map(formatChangeRequest));
+    } catch (err) {
+        console.error('Error fetching booking change requests:', err);
+        res.status(500).json({ error: 'Error fetching change requests' });
     }
 });
 
-app.post('/api/book-table', async (req, res) => {
+app.post('/api/admin/change-requests/:id/approve', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.reviewChangeRequest), auditLog('change_request', { action: 'approve' }), async (req, res) => {
     try {
-        const { 
-            name, email, phone, date, time, people, 
-            occasion, dietary_requirements, special_requests 
-        } = req.body;
+        const { id } = req.params;
+        const { admin_note } = req.body;
 
-        // Validation
-        if (!name || !email || !phone || !date || !time || !people) {
-            return res.status(400).json({ error: 'Required fields: name, email, phone, date, time, and number of people' });
-        }
-
-        // Email template for booking
-        const emailHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: linear-gradient(135deg, #cda45e 0%, #d9ba85 100%); padding: 30px; text-align: center;">
-                    <h1 style="color: #1a1814; margin: 0; font-size: 24px;">New Table Booking Request</h1>
-                </div>
-                <div style="padding: 30px; background: #ffffff;">
-                    <h2 style="color: #1a1814; border-bottom: 2px solid #cda45e; padding-bottom: 10px;">Booking Details</h2>
-                    
-                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 30px;">
-                        <div>
-                            <strong style="color: #1a1814;">Guest Name:</strong><br>
-                            ${name}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Email:</strong><br>
-                            ${email}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Phone:</strong><br>
-                            ${phone}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Number of People:</strong><br>
-                            ${people}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Date:</strong><br>
-                            ${date}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Time:</strong><br>
-                            ${time}
-                        </div>
-                    </div>
-                    
-                    ${occasion ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Special Occasion:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${occasion}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${dietary_requirements ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Dietary Requirements:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${dietary_requirements}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${special_requests ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Special Requests:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${special_requests}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    <div style="margin-top: 30px; padding: 20px; background: #e8f5e8; border-radius: 8px;">
-                        <strong style="color: #1a1814;">📞 Contact Private Chef Stefan:</strong><br>
-                        Email: info@privatechefstefan.co.za<br>
-                        Phone: +27 (0) 82 123 4567<br>
-                        <em>We will contact you shortly to confirm your booking!</em>
-                    </div>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666;">
-                        <p>This booking request was submitted through the Private Chef Stefan website.</p>
-                        <p>Received on: ${new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' })}</p>
-                    </div>
-                </div>
-            </div>
-        `;
+        const existing = await query('SELECT * FROM booking_change_requests WHERE id = $1', [id]);
 
-        // Send email
-        await emailTransporter.sendMail({
-            from: `"Chef Stefan Bookings" <${process.env.SMTP_USER}>`,
-            to: 'info@privatechefstefan.co.za',
-            replyTo: email,
-            subject: `New Booking Request - ${name} for ${date} at ${time}`,
-            html: emailHtml
-        });
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Change request not found' });
+        }
+
+        const changeRequest = existing.rows[0];
+        if (changeRequest.status !== 'pending') {
+            return res.status(409).json({ error: `This request has already been ${changeRequest.status}` });
+        }
+
+        const bookingResult = await query('SELECT * FROM bookings WHERE id = $1', [changeRequest.booking_id]);
+        const booking = bookingResult.rows[0];
+        const currentStatus = booking.status || 'pending';
+
+        const updates = [];
+        const params = [];
+
+        if (changeRequest.type === 'cancel') {
+            if (!canTransitionBooking(currentStatus, 'cancelled')) {
+                return res.status(409).json({ error: `Cannot move booking from ${currentStatus} to cancelled` });
+            }
+            params.push('cancelled');
+            updates.push(`status = $${params.length}`);
+        } else {
+            // The calendar may have filled up since the customer asked
+            if (changeRequest.requested_event_date) {
+                const availability = await checkDateAvailability(
+                    changeRequest.requested_event_date,
+                    changeRequest.requested_event_time || booking.event_time
+                );
+                if (!availability.available) {
+                    return res.status(409).json({ error: availability.message, reason: availability.reason });
+                }
+                params.push(changeRequest.requested_event_date);
+                updates.push(`event_date = $${params.length}`);
+            }
+            if (changeRequest.requested_event_time) {
+                params.push(changeRequest.requested_event_time);
+                updates.push(`event_time = $${params.length}`);
+            }
+            if (changeRequest.requested_guest_count) {
+                params.push(changeRequest.requested_guest_count);
+                updates.push(`guest_count = $${params.length}`);
+            }
+            // Re-price in case the menu changed while the request was waiting
+            if (changeRequest.requested_dishes) {
+                const pricing = await priceSelectedDishes(
+                    parseSelectedDishes(changeRequest.requested_dishes),
+                    changeRequest.requested_guest_count || booking.guest_count
+                );
+                if (pricing.error) {
+                    return res.status(pricing.status).json({ error: pricing.error, unavailable_items: pricing.unavailable_items });
+                }
+                params.push(JSON.stringify(pricing.items), pricing.total);
+                updates.push(`selected_dishes = $${params.length - 1}`, `total_amount = $${params.length}`);
+            }
+        }
 
-        // Store in database (use existing bookings table structure)
+        // Claim the request, change the booking and record its history together, or not at all
+        const client = await pool.connect();
+        let reviewed;
+        let updated;
         try {
-            const id = uuidv4();
-            await query(
-                `INSERT INTO bookings (
-                    id, customer_name, customer_email, customer_phone, 
-                    event_date, event_time, occasion, dietary_restrictions, 
-                    additional_info, created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
-                [
-                    id, name, email, phone, 
-                    date, time, occasion || '', dietary_requirements || '', 
-                    special_requests || `Table booking for ${people} people`
-                ]
+            await client.query('BEGIN');
+
+            // A concurrent decline or approve claims it first and this one stops before touching the booking
+            reviewed = await client.query(`
+                UPDATE booking_change_requests 
+                SET status = 'approved', admin_note = $1, reviewed_by = $2, reviewed_at = NOW()
+                WHERE id = $3 AND status = 'pending' RETURNING *
+            `, [admin_note || null, req.session.user.id, id]);
+
+            if (reviewed.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'This request has already been reviewed' });
+            }
+
+            // Guard against a concurrent status change between the read and the write
+            params.push(booking.id, booking.status);
+            updated = await client.query(
+                `UPDATE bookings SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $${params.length - 1} AND status IS NOT DISTINCT FROM $${params.length} RETURNING *`,
+                params
             );
-        } catch (dbError) {
-            console.log('Booking stored in database with simplified structure');
+
+            if (updated.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Booking was modified by someone else. Please reload and try again.' });
+            }
+
+            if (changeRequest.type === 'cancel') {
+                await client.query(
+                    'INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, changed_by_email, note) VALUES ($1, $2, $3, $4, $5, $6)',
+                    [booking.id, currentStatus, 'cancelled', req.session.user.id, req.session.user.email, 'Cancelled at the customer\'s request']
+                );
+            }
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
         }
 
-        res.json({ success: true, message: 'Booking request sent successfully! We will contact you soon to confirm.' });
+        await sendChangeRequestOutcome(req, updated.rows[0], reviewed.rows[0]);
 
-    } catch (error) {
-        console.error('Error processing booking:', error);
-        res.status(500).json({ error: 'Failed to process booking. Please try again later.' });
+        res.json({ change_request: formatChangeRequest(reviewed.rows[0]), booking: updated.rows[0] });
+    } catch (err) {
+        console.error('Error approving change request:', err);
+        res.status(500).json({ error: 'Error approving change request' });
     }
 });
 
-// Catering inquiry endpoint (sends email for catering forms)
-app.post('/api/catering-inquiry', async (req, res) => {
+app.post('/api/admin/change-requests/:id/decline', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.reviewChangeRequest), auditLog('change_request', { action: 'decline' }), async (req, res) => {
     try {
-        const { 
-            customer_name, customer_email, customer_phone, event_type,
-            event_date, event_time, location, meal_type, occasion,
-            dietary_restrictions, food_style, additional_info,
-            selected_dishes, total_amount
-        } = req.body;
-
-        // Validation
-        if (!customer_name || !customer_email || !customer_phone || !event_date) {
-            return res.status(400).json({ error: 'Required fields: name, email, phone, and event date' });
-        }
-
-        // Email template for catering inquiry
-        const emailHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: linear-gradient(135deg, #cda45e 0%, #d9ba85 100%); padding: 30px; text-align: center;">
-                    <h1 style="color: #1a1814; margin: 0; font-size: 24px;">New Catering Inquiry</h1>
-                </div>
-                <div style="padding: 30px; background: #ffffff;">
-                    <h2 style="color: #1a1814; border-bottom: 2px solid #cda45e; padding-bottom: 10px;">Client Details</h2>
-                    
-                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 30px;">
-                        <div>
-                            <strong style="color: #1a1814;">Client Name:</strong><br>
-                            ${customer_name}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Email:</strong><br>
-                            ${customer_email}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Phone:</strong><br>
-                            ${customer_phone}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Event Type:</strong><br>
-                            ${event_type || 'Not specified'}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Event Date:</strong><br>
-                            ${event_date}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Event Time:</strong><br>
-                            ${event_time || 'Not specified'}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Location:</strong><br>
-                            ${location || 'Not specified'}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Meal Type:</strong><br>
-                            ${meal_type || 'Not specified'}
-                        </div>
-                    </div>
-                    
-                    ${occasion ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Special Occasion:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${occasion}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${dietary_restrictions ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Dietary Restrictions:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${dietary_restrictions}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${food_style ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Food Style:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${food_style}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${additional_info ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Additional Information:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${additional_info}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${selected_dishes && Array.isArray(selected_dishes) && selected_dishes.length > 0 ? `
-                        <div style="margin-bottom: 20px;">
-                            <strong style="color: #1a1814;">Selected Menu Items:</strong>
-                            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #cda45e; margin-top: 10px;">
-                                ${selected_dishes.map(item => `• ${item.dish} (${item.quantity}x) - R${item.totalPrice.toLocaleString()}`).join('<br>')}
-                                ${total_amount ? `<br><strong>Total: R${total_amount.toLocaleString()}</strong>` : ''}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    <div style="margin-top: 30px; padding: 20px; background: #e8f5e8; border-radius: 8px;">
-                        <strong style="color: #1a1814;">📞 Contact Private Chef Stefan:</strong><br>
-                        Email: info@privatechefstefan.co.za<br>
-                        Phone: +27 (0) 82 123 4567<br>
-                        <em>We will contact you shortly to discuss your catering requirements!</em>
-                    </div>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666;">
-                        <p>This catering inquiry was submitted through the Private Chef Stefan website.</p>
-                        <p>Received on: ${new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' })}</p>
-                    </div>
-                </div>
-            </div>
-        `;
+        const { id } = req.params;
+        const { admin_note } = req.body;
 
-        // Send email
-        await emailTransporter.sendMail({
-            from: `"Chef Stefan Catering" <${process.env.SMTP_USER}>`,
-            to: 'info@privatechefstefan.co.za',
-            replyTo: customer_email,
-            subject: `Catering Inquiry - ${customer_name} for ${event_date}`,
-            html: emailHtml
-        });
+        const result = await query(`
+            UPDATE booking_change_requests 
+            SET status = 'declined', admin_note = $1, reviewed_by = $2, reviewed_at = NOW()
+            WHERE id = $3 AND status = 'pending' RETURNING *
+        `, [admin_note || null, req.session.user.id, id]);
 
-        // Store in database
-        try {
-            const id = uuidv4();
-            const result = await query(
-                `INSERT INTO bookings (
-                    id, customer_name, customer_email, customer_phone, event_type,
-                    event_date, event_time, location, meal_type, occasion,
-                    dietary_restrictions, food_style, additional_info,
-                    selected_dishes, total_amount, created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW()) RETURNING *`,
-                [
-                    id, customer_name, customer_email, customer_phone, event_type,
-                    event_date, event_time, location, meal_type, occasion,
-                    dietary_restrictions, food_style, additional_info,
-                    selected_dishes ? JSON.stringify(selected_dishes) : null, total_amount
-                ]
-            );
-            
-            res.json({ 
-                success: true, 
-                message: 'Your catering inquiry has been sent successfully! We will contact you shortly to discuss your requirements.',
-                booking: result.rows[0]
-            });
-        } catch (dbError) {
-            console.error('Database error (inquiry still sent via email):', dbError);
-            res.json({ 
-                success: true, 
-                message: 'Your catering inquiry has been sent successfully! We will contact you shortly to discuss your requirements.'
-            });
+        if (result.rows.length === 0) {
+            const existing = await query('SELECT status FROM booking_change_requests WHERE id = $1', [id]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Change request not found' });
+            }
+            return res.status(409).json({ error: `This request has already been ${existing.rows[0].status}` });
         }
 
-    } catch (error) {
-        console.error('Error processing catering inquiry:', error);
-        res.status(500).json({ error: 'Failed to process catering inquiry. Please try again later.' });
+        const booking = await query('SELECT * FROM bookings WHERE id = $1', [result.rows[0].booking_id]);
+        await sendChangeRequestOutcome(req, booking.rows[0], result.rows[0]);
+
+        res.json(formatChangeRequest(result.rows[0]));
+    } catch (err) {
+        console.error('Error declining change request:', err);
+        res.status(500).json({ error: 'Error declining change request' });
     }
 });
 
-// Cart booking endpoint (sends email for cart-based bookings)
-app.post('/api/cart-booking', async (req, res) => {
+// Email the customer their portal link, creating one for bookings made before the portal existed
+app.post('/api/bookings/:id/portal-link', requireAuth, requireRole(...ROLE_ACCESS.manage_bookings), validateRequest(SCHEMAS.getBooking), auditLog('booking', { action: 'send_portal_link' }), async (req, res) => {
     try {
-        const { 
-            customer_name, customer_email, customer_phone, event_date,
-            event_time, guest_count, location, special_requests,
-            selected_dishes, total_amount, booking_source
-        } = req.body;
-
-        // Validation
-        if (!customer_name || !customer_email || !customer_phone || !event_date || !event_time || !guest_count) {
-            return res.status(400).json({ error: 'Required fields: name, email, phone, event date, time, and guest count' });
-        }
-
-        // Format selected dishes for email
-        const dishesHtml = selected_dishes && selected_dishes.length > 0 ? 
-            selected_dishes.map(dish => `
-                <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin-bottom: 10px;">
-                    <strong>${dish.dish}</strong><br>
-                    <span style="color: #6c757d;">Quantity: ${dish.quantity} × R${dish.price.toLocaleString()}</span><br>
-                    <span style="color: #28a745; font-weight: 600;">Subtotal: R${dish.totalPrice.toLocaleString()}</span>
-                </div>
-            `).join('') : '<p style="color: #6c757d; font-style: italic;">No specific dishes selected - custom menu requested</p>';
-
-        // Email template for cart booking
-        const emailHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: linear-gradient(135deg, #cda45e 0%, #d9ba85 100%); padding: 30px; text-align: center;">
-                    <h1 style="color: #1a1814; margin: 0; font-size: 24px;">New Cart Booking Request</h1>
-                    <p style="color: #1a1814; margin: 10px 0 0; opacity: 0.9;">Premium Private Chef Experience</p>
-                </div>
-                
-                <div style="padding: 30px; background: #ffffff;">
-                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 30px;">
-                        <div>
-                            <strong style="color: #1a1814;">Customer Name:</strong><br>
-                            ${customer_name}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Email:</strong><br>
-                            ${customer_email}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Phone:</strong><br>
-                            ${customer_phone}
-                        </div>
-                        <div>
-                            <strong style="color: #1a1814;">Guest Count:</strong><br>
-                            ${guest_count} guests
-                        </div>
-                    </div>
-
-                    <hr style="border: none; height: 1px; background: #eee; margin: 30px 0;">
-
-                    <div style="margin-bottom: 25px;">
-                        <h3 style="color: #1a1814; margin-bottom: 15px;">Event Details</h3>
-                        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px;">
-                            <div style="margin-bottom: 10px;">
-                                <strong style="color: #1a1814;">Date & Time:</strong><br>
-                                ${new Date(event_date).toLocaleDateString('en-ZA', { 
-                                    weekday: 'long', 
-                                    year: 'numeric', 
-                                    month: 'long', 
-                                    day: 'numeric' 
-                                })} at ${event_time}
-                            </div>
-                            <div style="margin-bottom: 10px;">
-                                <strong style="color: #1a1814;">Location:</strong><br>
-                                ${location}
-                            </div>
-                            ${special_requests ? `
-                            <div>
-                                <strong style="color: #1a1814;">Special Requests:</strong><br>
-                                ${special_requests}
-                            </div>
-                            ` : ''}
-                        </div>
-                    </div>
-
-                    <div style="margin-bottom: 25px;">
-                        <h3 style="color: #1a1814; margin-bottom: 15px;">Selected Menu Items</h3>
-                        ${dishesHtml}
-                        ${total_amount > 0 ? `
-                        <div style="text-align: right; margin-top: 20px; padding: 15px; background: #e8f5e8; border-radius: 8px;">
-                            <strong style="color: #1a1814; font-size: 18px;">Total Estimated Amount: R${total_amount.toLocaleString()}</strong>
-                            <br>
-                            <small style="color: #6c757d;">*Final pricing subject to menu customization and requirements</small>
-                        </div>
-                        ` : ''}
-                    </div>
-                    
-                    <div style="margin-top: 30px; padding: 20px; background: #e8f5e8; border-radius: 8px;">
-                        <strong style="color: #1a1814;">📞 Contact Private Chef Stefan:</strong><br>
-                        Email: info@privatechefstefan.co.za<br>
-                        Phone: +27 (0) 82 123 4567<br>
-                        <em>We will contact you shortly to discuss your menu and confirm all details!</em>
-                    </div>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666;">
-                        <p>This booking was submitted through the Private Chef Stefan cart system.</p>
-                        <p>Source: ${booking_source || 'cart_session'}</p>
-                        <p>Received on: ${new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' })}</p>
-                    </div>
-                </div>
-            </div>
-        `;
+        const { id } = req.params;
 
-        // Send email
-        await emailTransporter.sendMail({
-            from: `"Chef Stefan Cart Booking" <${process.env.SMTP_USER}>`,
-            to: 'info@privatechefstefan.co.za',
-            replyTo: customer_email,
-            subject: `Cart Booking Request - ${customer_name} for ${event_date} at ${event_time}`,
-            html: emailHtml
-        });
+        const result = await query(
+            'UPDATE bookings SET portal_token = COALESCE(portal_token, $1) WHERE id = $2 RETURNING *',
+            [generatePortalToken(), id]
+        );
 
-        // Store in database
-        try {
-            const id = uuidv4();
-            const result = await query(
-                `INSERT INTO bookings (
-                    id, customer_name, customer_email, customer_phone, event_type,
-                    event_date, event_time, location, occasion,
-                    additional_info, selected_dishes, total_amount, created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW()) RETURNING *`,
-                [
-                    id, customer_name, customer_email, customer_phone, 'Cart Booking',
-                    event_date, event_time, location, `${guest_count} guests`,
-                    special_requests || `Cart booking for ${guest_count} guests`,
-                    selected_dishes ? JSON.stringify(selected_dishes) : null, total_amount
-                ]
-            );
-            
-            res.json({ 
-                success: true, 
-                message: 'Your booking request has been sent successfully! We will contact you shortly to confirm your reservation and discuss the final menu details.',
-                booking: result.rows[0]
-            });
-        } catch (dbError) {
-            console.error('Database error (booking still sent via email):', dbError);
-            res.json({ 
-                success: true, 
-                message: 'Your booking request has been sent successfully! We will contact you shortly to confirm your reservation and discuss the final menu details.'
-            });
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Booking not found' });
         }
 
-    } catch (error) {
-        console.error('Error processing cart booking:', error);
-        res.status(500).json({ error: 'Failed to process booking request. Please try again later.' });
+        const booking = result.rows[0];
+        const link = portalLink(req, booking.portal_token);
+
+        await sendCustomerAcknowledgement({
+            to: booking.customer_email,
+            name: booking.customer_name,
+            reference: booking.reference,
+            heading: 'Manage your booking online',
+            intro: 'You can view your booking and request changes or a cancellation at any time using the link below. No password is needed - please keep this email private.',
+            detailsHeading: 'Your booking',
+            details: [
+                ['Event Date', booking.event_date],
+                ['Event Time', booking.event_time],
+                ['Location', booking.location]
+            ],
+            manageLink: link
+        });
+
+        res.json({ message: `Booking link sent to ${booking.customer_email}`, portal_link: link });
+    } catch (err) {
+        console.error('Error sending portal link:', err);
+        res.status(500).json({ error: 'Error sending booking link' });
     }
 });
 
 // ======= BLOG API ENDPOINTS =======
 
 // Get all blog posts with pagination and filtering
-app.get('/api/blog/posts', async (req, res) => {
+// Only published posts are listed here - SCHEMAS.blogPosts rejects any other status
+app.get('/api/blog/posts', validateRequest(SCHEMAS.blogPosts), async (req, res) => {
     try {
         const {
             page = 1,
             limit = 6,
             category,
-            status = 'published',
             search,
             author
         } = req.query;
 
         const offset = (parseInt(page) - 1) * parseInt(limit);
         let whereConditions = [`bp.status = $1`];
-        let queryParams = [status];
+        let queryParams = ['published'];
         let paramCount = 1;
 
         if (category) {
@@ -1354,7 +3790,7 @@ app.get('/api/blog/posts', async (req, res) => {
 });
 
 // Get single blog post by slug
-app.get('/api/blog/posts/:slug', async (req, res) => {
+app.get('/api/blog/posts/:slug', validateRequest(SCHEMAS.blogPost), async (req, res) => {
     try {
         const { slug } = req.params;
 
@@ -1410,9 +3846,9 @@ app.get('/api/blog/categories', async (req, res) => {
 });
 
 // Get recent blog posts (for sidebar, etc.)
-app.get('/api/blog/recent', async (req, res) => {
+app.get('/api/blog/recent', validateRequest(SCHEMAS.recentBlogPosts), async (req, res) => {
     try {
-        const { limit = 5 } = req.query;
+        const limit = req.query.limit || 5;
 
         const result = await query(`
             SELECT 
@@ -1436,7 +3872,7 @@ app.get('/api/blog/recent', async (req, res) => {
 // ======= ADMIN BLOG ENDPOINTS =======
 
 // Get all posts for admin (including drafts)
-app.get('/api/admin/blog/posts', requireAuth, async (req, res) => {
+app.get('/api/admin/blog/posts', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), validateRequest(SCHEMAS.adminBlogPosts), async (req, res) => {
     try {
         const {
             page = 1,
@@ -1511,16 +3947,13 @@ app.get('/api/admin/blog/posts', requireAuth, async (req, res) => {
 });
 
 // Create new blog post
-app.post('/api/admin/blog/posts', requireAuth, async (req, res) => {
+app.post('/api/admin/blog/posts', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), validateRequest(SCHEMAS.createBlogPost), auditLog('blog_post'), async (req, res) => {
     try {
         const {
-            title, content, excerpt, category_id, status = 'draft',
+            title, content, excerpt, category_id,
             featured_image, seo_title, seo_description, seo_keywords, tags
         } = req.body;
-
-        if (!title || !content) {
-            return res.status(400).json({ error: 'Title and content are required' });
-        }
+        const status = req.body.status || BLOG_POST_STATUSES[0];
 
         // Generate slug from title
         const slug = title.toLowerCase()
@@ -1545,7 +3978,7 @@ app.post('/api/admin/blog/posts', requireAuth, async (req, res) => {
             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
             RETURNING *
         `, [
-            id, title, slug, content, excerpt, category_id, author_id,
+            id, title, slug, content, excerpt, category_id || null, author_id,
             status, featured_image, seo_title, seo_description, seo_keywords,
             tags, reading_time, published_at
         ]);
@@ -1562,7 +3995,7 @@ app.post('/api/admin/blog/posts', requireAuth, async (req, res) => {
 });
 
 // Update blog post
-app.put('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
+app.put('/api/admin/blog/posts/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), validateRequest(SCHEMAS.updateBlogPost), auditLog('blog_post'), async (req, res) => {
     try {
         const { id } = req.params;
         const {
@@ -1570,10 +4003,6 @@ app.put('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
             featured_image, seo_title, seo_description, seo_keywords, tags
         } = req.body;
 
-        if (!title || !content) {
-            return res.status(400).json({ error: 'Title and content are required' });
-        }
-
         // Generate new slug if title changed
         const slug = title.toLowerCase()
             .replace(/[^a-z0-9\s-]/g, '')
@@ -1603,7 +4032,7 @@ app.put('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
             WHERE id = $14
             RETURNING *
         `, [
-            title, slug, content, excerpt, category_id, status, featured_image,
+            title, slug, content, excerpt, category_id || null, status, featured_image,
             seo_title, seo_description, seo_keywords, tags, reading_time, 
             published_at, id
         ]);
@@ -1624,7 +4053,7 @@ app.put('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
 });
 
 // Delete blog post
-app.delete('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
+app.delete('/api/admin/blog/posts/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), validateRequest(SCHEMAS.adminBlogPost), auditLog('blog_post'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -1643,7 +4072,7 @@ app.delete('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
 });
 
 // Get single post for editing
-app.get('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
+app.get('/api/admin/blog/posts/:id', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), validateRequest(SCHEMAS.adminBlogPost), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -1671,7 +4100,7 @@ app.get('/api/admin/blog/posts/:id', requireAuth, async (req, res) => {
 });
 
 // Blog category management
-app.get('/api/admin/blog/categories', requireAuth, async (req, res) => {
+app.get('/api/admin/blog/categories', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), async (req, res) => {
     try {
         const result = await query(`
             SELECT 
@@ -1691,14 +4120,10 @@ app.get('/api/admin/blog/categories', requireAuth, async (req, res) => {
 });
 
 // Create blog category
-app.post('/api/admin/blog/categories', requireAuth, async (req, res) => {
+app.post('/api/admin/blog/categories', requireAuth, requireRole(...ROLE_ACCESS.manage_blog), validateRequest(SCHEMAS.createBlogCategory), auditLog('blog_category'), async (req, res) => {
     try {
         const { name, description, color, display_order } = req.body;
 
-        if (!name) {
-            return res.status(400).json({ error: 'Category name is required' });
-        }
-
         const slug = name.toLowerCase()
             .replace(/[^a-z0-9\s-]/g, '')
             .replace(/\s+/g, '-')
@@ -1877,12 +4302,18 @@ process.on('SIGINT', async () => {
     process.exit(0);
 });
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    if (process.env.DATABASE_URL) {
-        console.log('Connected to PostgreSQL database');
-    } else {
-        console.log('Running without database connection');
-    }
-});
\ No newline at end of file
+// Only listen when started directly. The tests require the app and bind their own port.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+        startOutboxWorker(emailTransporter);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        if (process.env.DATABASE_URL) {
+            console.log('Connected to PostgreSQL database');
+        } else {
+            console.log('Running without database connection');
+        }
+    });
+}
+
+module.exports = app;
\ No newline at end of file
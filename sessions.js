@@ -0,0 +1,73 @@
+const { query } = require('./database');
+
+// Signed-in sessions, kept in the sessions table by connect-pg-simple. Each one is listed by an md5
+// of its session id, so the list never gives away what's in anyone's session cookie.
+
+// How often a session's last activity is updated, so every request doesn't rewrite the session
+const ACTIVITY_INTERVAL_MINUTES = 5;
+
+// Stored on the session at sign-in, to tell the user's devices apart in the list
+function recordSessionDevice(req) {
+    const now = new Date().toISOString();
+    req.session.device = {
+        ip_address: req.ip || null,
+        user_agent: req.get('user-agent') || null,
+        signed_in_at: now,
+        last_active_at: now
+    };
+}
+
+function touchSession(req) {
+    const device = req.session.device;
+    if (!device) return;
+
+    const lastActive = new Date(device.last_active_at).getTime();
+    if (!lastActive || Date.now() - lastActive > ACTIVITY_INTERVAL_MINUTES * 60 * 1000) {
+        device.last_active_at = new Date().toISOString();
+    }
+}
+
+// A user's sessions that haven't expired, most recently active first. currentSid marks the
+// session making the request.
+async function listUserSessions(userId, currentSid = null) {
+    const result = await query(`
+        SELECT md5(sid) as id, sid = $2 as current, expire as expires_at,
+            sess->'device'->>'ip_address' as ip_address,
+            sess->'device'->>'user_agent' as user_agent,
+            sess->'device'->>'signed_in_at' as signed_in_at,
+            sess->'device'->>'last_active_at' as last_active_at
+        FROM sessions
+        WHERE sess->'user'->>'id' = $1 AND expire > NOW()
+        ORDER BY sid = $2 DESC, sess->'device'->>'last_active_at' DESC NULLS LAST
+    `, [userId, currentSid]);
+    return result.rows;
+}
+
+// Ends one of a user's sessions, by the id from the list. Returns its session id, or null if
+// there's no such session.
+async function endSession(userId, id) {
+    const result = await query(
+        `DELETE FROM sessions WHERE sess->'user'->>'id' = $1 AND md5(sid) = $2 RETURNING sid`,
+        [userId, id]
+    );
+    return result.rows.length > 0 ? result.rows[0].sid : null;
+}
+
+// Signs the user out everywhere, except the session given (e.g. the one changing the password).
+// Returns how many sessions were ended.
+async function endUserSessions(userId, exceptSessionId = null) {
+    const result = await query(`
+        DELETE FROM sessions
+        WHERE sess->'user'->>'id' = $1 AND ($2::text IS NULL OR sid <> $2)
+        RETURNING sid
+    `, [userId, exceptSessionId]);
+    return result.rows.length;
+}
+
+module.exports = {
+    recordSessionDevice,
+    touchSession,
+    listUserSessions,
+    endSession,
+    endUserSessions
+};
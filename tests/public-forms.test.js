@@ -0,0 +1,217 @@
+// Malicious payloads sent through each public form endpoint. The database is replaced with a
+// recorder, so these run without PostgreSQL and can check that nothing was written.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const queries = [];
+// Rows returned for queries matching a pattern; anything else gets no rows
+const responses = [];
+const databasePath = require.resolve('../database');
+require.cache[databasePath] = {
+    id: databasePath,
+    filename: databasePath,
+    loaded: true,
+    exports: {
+        query: async (text, params) => {
+            queries.push({ text, params });
+            const match = responses.find(([pattern]) => pattern.test(text));
+            const rows = match ? match[1] : [];
+            return { rows, rowCount: rows.length };
+        },
+        pool: null,
+        initializeDatabase: async () => {}
+    }
+};
+process.env.MAIL_TRANSPORT = 'memory';
+
+const app = require('../server');
+const { sanitizePayload } = require('../sanitize');
+const { getSentMessages } = require('../mail-transport');
+
+const LINK_TOKEN = 'a'.repeat(48);
+
+// A valid submission for each form, and the fields the attacks go into. longField is a multi-line
+// field and defaults to nameField; emailField defaults to longField.
+const FORMS = [
+    {
+        path: '/api/contact',
+        nameField: 'name',
+        emailField: 'email',
+        longField: 'message',
+        payload: { name: 'Sam Smith', email: 'sam@example.com', subject: 'Birthday dinner', message: 'Are you free in June?' }
+    },
+    {
+        path: '/api/book-table',
+        nameField: 'name',
+        emailField: 'email',
+        longField: 'special_requests',
+        payload: { name: 'Sam Smith', email: 'sam@example.com', phone: '082 123 4567', date: '2030-06-01', time: '19:00', people: '4' }
+    },
+    {
+        path: '/api/catering-inquiry',
+        nameField: 'customer_name',
+        emailField: 'customer_email',
+        longField: 'additional_info',
+        payload: {
+            customer_name: 'Sam Smith',
+            customer_email: 'sam@example.com',
+            customer_phone: '082 123 4567',
+            event_date: '2030-06-01',
+            guest_count: 40,
+            event_type: 'Wedding'
+        }
+    },
+    {
+        path: '/api/cart-booking',
+        nameField: 'customer_name',
+        emailField: 'customer_email',
+        longField: 'special_requests',
+        payload: {
+            customer_name: 'Sam Smith',
+            customer_email: 'sam@example.com',
+            customer_phone: '082 123 4567',
+            event_date: '2030-06-01',
+            guest_count: 8,
+            selected_dishes: [{ id: 'dish-1', dish: 'Lamb shank', quantity: 8 }]
+        }
+    },
+    {
+        path: '/api/v1/bookings',
+        nameField: 'customer_name',
+        emailField: 'customer_email',
+        longField: 'additional_info',
+        payload: {
+            source: 'catering',
+            customer_name: 'Sam Smith',
+            customer_email: 'sam@example.com',
+            customer_phone: '082 123 4567',
+            event_date: '2030-06-01',
+            guest_count: 40,
+            event_type: 'Wedding'
+        }
+    },
+    {
+        path: `/api/portal/${LINK_TOKEN}/change-requests`,
+        nameField: 'type',
+        longField: 'message',
+        payload: { type: 'change', guest_count: 9, message: 'A few more friends are coming' }
+    },
+    {
+        path: `/api/quotes/${LINK_TOKEN}/accept`,
+        nameField: 'accepted_by_name',
+        payload: { accepted_by_name: 'Sam Smith' }
+    }
+];
+
+// Each attack is [description, field it should be rejected on, payload changes, error pattern]
+function attacksFor(form) {
+    const longField = form.longField || form.nameField;
+    const emailField = form.emailField || longField;
+    return [
+        ['markup', form.nameField, { [form.nameField]: '<a href="https://evil.example/login">Sam</a>' }, /cannot contain < or >/],
+        ['a control character', form.nameField, { [form.nameField]: 'Sam\u0007Smith' }, /not allowed/],
+        ['a NUL byte', longField, { [longField]: 'See you then\u0000' }, /not allowed/],
+        ['a bidi override', emailField, { [emailField]: 'sam\u202E@example.com' }, /not allowed/],
+        ['a zero-width space', form.nameField, { [form.nameField]: 'Sam\u200BSmith' }, /not allowed/],
+        ['an oversized field', longField, { [longField]: 'x'.repeat(10001) }, /too long/],
+        ['over-deep nesting', 'c', { extra: { a: { b: { c: { d: 'Soup' } } } } }, /nested too deeply/]
+    ];
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function post(path, body) {
+    queries.length = 0;
+    const response = await fetch(baseUrl + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function assertRejected(result, field, pattern) {
+    assert.strictEqual(result.status, 400);
+    assert.match(result.body.error, pattern);
+    assert.strictEqual(result.body.field, field);
+    assert.deepStrictEqual(queries, [], 'nothing should reach the database');
+    assert.deepStrictEqual(getSentMessages(), [], 'no email should be sent');
+}
+
+for (const form of FORMS) {
+    test(`${form.path} rejects malicious payloads`, async (t) => {
+        assert.ok(sanitizePayload(form.payload).values, 'the valid payload should pass the sanitiser');
+
+        for (const [description, field, changes, pattern] of attacksFor(form)) {
+            await t.test(description, async () => {
+                assertRejected(await post(form.path, { ...form.payload, ...changes }), field, pattern);
+            });
+        }
+
+        await t.test('a __proto__ key', async () => {
+            // JSON.stringify drops __proto__ from object literals, so write it out
+            const body = JSON.stringify(form.payload).replace(/}$/, ',"__proto__":{"isAdmin":true}}');
+            assertRejected(await post(form.path, body), '__proto__', /not allowed/);
+            assert.strictEqual({}.isAdmin, undefined);
+        });
+    });
+}
+
+// The outbox INSERT for one template, with its html column
+function queuedEmail(template) {
+    const insert = queries.find(q => /INSERT INTO email_outbox/.test(q.text) && q.params[0] === template);
+    assert.ok(insert, `a ${template} email should be queued`);
+    return { reference: insert.params[1], html: insert.params[8] };
+}
+
+test('a message with < and & is stored as typed and escaped in the email', async (t) => {
+    responses.push(
+        [/contact_reference_counters/, [{ last_number: 7 }]],
+        [/INSERT INTO contacts/, [{ id: 'contact-1' }]]
+    );
+    t.after(() => { responses.length = 0; });
+
+    const message = 'Can you do a nut-free cake? <3 & thanks';
+    const result = await post('/api/contact', { ...FORMS[0].payload, message });
+
+    assert.strictEqual(result.status, 200);
+    assert.match(result.body.reference, /^MSG-\d{4}-0007$/);
+
+    const insert = queries.find(q => /INSERT INTO contacts/.test(q.text));
+    assert.strictEqual(insert.params[3], message);
+
+    const email = queuedEmail('contact-admin');
+    assert.strictEqual(email.reference, result.body.reference);
+    assert.ok(email.html.includes('nut-free cake? &lt;3 &amp; thanks'));
+    assert.ok(!email.html.includes('<3'));
+});
+
+test('a catering booking with < and & is stored as typed and escaped in the email', async (t) => {
+    responses.push(
+        [/booking_reference_counters/, [{ last_number: 12 }]],
+        [/INSERT INTO bookings/, [{ id: 'booking-1', status: 'pending' }]]
+    );
+    t.after(() => { responses.length = 0; });
+
+    const additionalInfo = 'Gluten-free starters <please> & a vegan main';
+    const result = await post('/api/v1/bookings', { ...FORMS[4].payload, additional_info: additionalInfo });
+
+    assert.strictEqual(result.status, 201);
+    assert.match(result.body.reference, /^CS-\d{4}-0012$/);
+
+    const insert = queries.find(q => /INSERT INTO bookings/.test(q.text));
+    assert.ok(insert.params.includes(additionalInfo));
+
+    const email = queuedEmail('catering-admin');
+    assert.ok(email.html.includes('Gluten-free starters &lt;please&gt; &amp; a vegan main'));
+    assert.ok(!email.html.includes('<please>'));
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FIELD_RULES, sanitizeText, sanitizePayload } = require('../sanitize');
+
+test('sanitizeText trims and accepts ordinary text', () => {
+    assert.deepStrictEqual(sanitizeText('  Sam Smith  ', FIELD_RULES.name), { value: 'Sam Smith' });
+    assert.deepStrictEqual(sanitizeText('Hi,\n\tsee you soon <3', FIELD_RULES.message), { value: 'Hi,\n\tsee you soon <3' });
+});
+
+test('sanitizeText rejects control characters in every field', () => {
+    for (const character of ['\u0000', '\u0007', '\u001B', '\u007F', '\u0085']) {
+        assert.match(sanitizeText(`Sam${character}`, FIELD_RULES.name).error, /not allowed/);
+        assert.match(sanitizeText(`Hello${character}`, FIELD_RULES.message).error, /not allowed/);
+    }
+});
+
+test('sanitizeText rejects bidi overrides and zero-width characters', () => {
+    for (const character of ['\u202E', '\u202A', '\u2066', '\u200B', '\u200D', '\uFEFF']) {
+        assert.deepStrictEqual(sanitizeText(`Sam${character}Smith`, FIELD_RULES.name), { error: 'Name contains characters that are not allowed' });
+    }
+});
+
+test('sanitizeText only allows line breaks in multi-line fields', () => {
+    assert.deepStrictEqual(sanitizeText('Sam\nSmith', FIELD_RULES.name), { error: 'Name contains characters that are not allowed' });
+    assert.deepStrictEqual(sanitizeText('12 Long Street\nCape Town', FIELD_RULES.location), { value: '12 Long Street\nCape Town' });
+});
+
+test('sanitizeText rejects markup in single-line fields', () => {
+    assert.deepStrictEqual(sanitizeText('<a href="https://evil.example">Sam</a>', FIELD_RULES.name), { error: 'Name cannot contain < or >' });
+    assert.deepStrictEqual(sanitizeText('<b>Urgent</b>', FIELD_RULES.subject), { error: 'Subject cannot contain < or >' });
+});
+
+test('sanitizeText enforces the field length after trimming', () => {
+    assert.deepStrictEqual(sanitizeText(`  ${'a'.repeat(100)}  `, FIELD_RULES.name), { value: 'a'.repeat(100) });
+    assert.deepStrictEqual(sanitizeText('a'.repeat(101), FIELD_RULES.name), { error: 'Name is too long (maximum 100 characters)' });
+});
+
+test('sanitizeText checks email addresses', () => {
+    assert.deepStrictEqual(sanitizeText(' sam@example.com ', FIELD_RULES.email), { value: 'sam@example.com' });
+    assert.deepStrictEqual(sanitizeText('sam at example', FIELD_RULES.email), { error: 'Please enter a valid email address' });
+    assert.deepStrictEqual(sanitizeText('', FIELD_RULES.email), { value: '' });
+});
+
+test('sanitizePayload trims nested strings and passes other values through', () => {
+    const result = sanitizePayload({
+        customer_name: ' Sam ',
+        guest_count: 12,
+        vegetarian: true,
+        location: null,
+        selected_dishes: [{ dish: ' Lamb shank ', quantity: 2, choices: [' Soup '] }]
+    });
+
+    assert.deepStrictEqual(result, {
+        values: {
+            customer_name: 'Sam',
+            guest_count: 12,
+            vegetarian: true,
+            location: null,
+            selected_dishes: [{ dish: 'Lamb shank', quantity: 2, choices: ['Soup'] }]
+        }
+    });
+});
+
+test('sanitizePayload names the field that failed', () => {
+    assert.deepStrictEqual(
+        sanitizePayload({ name: 'Sam', selected_dishes: [{ dish: 'Soup\u0000' }] }),
+        { error: 'Dish contains characters that are not allowed', field: 'dish' }
+    );
+    assert.deepStrictEqual(
+        sanitizePayload({ unknown_field: 'x'.repeat(501) }),
+        { error: 'Field is too long (maximum 500 characters)', field: 'unknown_field' }
+    );
+});
+
+test('sanitizePayload rejects objects in text fields', () => {
+    assert.deepStrictEqual(sanitizePayload({ email: { $ne: '' } }), { error: 'Email must be text', field: 'email' });
+    assert.deepStrictEqual(sanitizePayload({ name: ['Sam', 'Alex'] }), { error: 'Name must be text', field: 'name' });
+});
+
+test('sanitizePayload rejects __proto__ keys without touching the prototype', () => {
+    const payload = JSON.parse('{"name": "Sam", "__proto__": {"isAdmin": true}}');
+    const result = sanitizePayload(payload);
+
+    assert.deepStrictEqual(result, { error: 'Submitted data contains a field that is not allowed', field: '__proto__' });
+    assert.strictEqual({}.isAdmin, undefined);
+});
+
+test('sanitizePayload rejects data nested too deeply', () => {
+    // payload > selected_dishes > line > choices is as deep as a set menu goes
+    assert.ok(sanitizePayload({ selected_dishes: [{ choices: ['Soup'] }] }).values);
+    assert.deepStrictEqual(
+        sanitizePayload({ selected_dishes: [{ choices: [{ dish: 'Soup' }] }] }),
+        { error: 'Submitted data is nested too deeply', field: 'choices' }
+    );
+});
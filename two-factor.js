@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { query } = require('./database');
+
+// Two-factor sign-in with time-based one-time passwords (RFC 6238), the six digit codes shown by
+// Google Authenticator, 1Password, Authy and the like. Codes are checked here against the shared
+// secret and the QR code is drawn on the server, so nothing depends on an outside service.
+const TOTP_ISSUER = 'Private Chef Stefan';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Codes from one step either side are accepted too, for phones whose clocks have drifted
+const TOTP_WINDOW = 1;
+
+// After the password step, the code has to be entered within this many minutes
+const PENDING_LOGIN_MINUTES = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps expect the secret in base32, without padding
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const bits = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '')
+        .split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step a code belongs to, or null when it doesn't match. Steps at or before lastStep have
+// already been used, so a code someone saw being typed can't be used again.
+function matchTotp(secret, code, lastStep = null) {
+    const value = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(value)) return null;
+
+    const now = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(value))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// What the QR code holds. Typing the secret in by hand works as well.
+function otpauthUrl(secret, email) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// A PNG data URL, so the page can show it without loading anything else
+function qrCodeDataUrl(text) {
+    return QRCode.toDataURL(text, { margin: 1, width: 220 });
+}
+
+// Recovery codes are for when the phone is lost. Each works once, and only their hashes are kept.
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    const value = String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Replaces any earlier codes, and returns the new ones to show to the user once
+async function replaceRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+
+    await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await query(
+            'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+            [userId, hashRecoveryCode(code)]
+        );
+    }
+    return codes;
+}
+
+async function recoveryCodesLeft(userId) {
+    const result = await query(
+        'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+}
+
+// Checks a code for a user with two-factor sign-in turned on. Returns 'totp' or 'recovery' for
+// the kind of code that was accepted, or null. Either way a code can only be used once.
+async function verifyTwoFactorCode(user, code, { allowRecovery = true } = {}) {
+    const lastStep = user.totp_last_step === null || user.totp_last_step === undefined ? null : Number(user.totp_last_step);
+    const step = matchTotp(user.totp_secret, code, lastStep);
+
+    if (step !== null) {
+        // Claimed conditionally, so the same code can't be used twice at once
+        const claimed = await query(
+            'UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1) RETURNING id',
+            [step, user.id]
+        );
+        return claimed.rows.length > 0 ? 'totp' : null;
+    }
+
+    if (allowRecovery) {
+        const used = await query(
+            'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+            [user.id, hashRecoveryCode(code)]
+        );
+        if (used.rows.length > 0) return 'recovery';
+    }
+
+    return null;
+}
+
+// Turns two-factor sign-in off, e.g. when the owner resets it for someone who lost their phone
+async function clearTwoFactor(userId) {
+    await query(`
+        UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [userId]);
+    await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+module.exports = {
+    PENDING_LOGIN_MINUTES,
+    RECOVERY_CODE_COUNT,
+    generateTotpSecret,
+    matchTotp,
+    otpauthUrl,
+    qrCodeDataUrl,
+    replaceRecoveryCodes,
+    recoveryCodesLeft,
+    verifyTwoFactorCode,
+    clearTwoFactor
+};
@@ -0,0 +1,234 @@
+// Requests are checked against JSON Schema documents (draft 2020-12). Only the keywords the
+// API's schemas use are supported: type, required, properties, additionalProperties: false, enum,
+// const, minLength/maxLength, pattern, format (email, date, uuid), minimum/maximum,
+// exclusiveMinimum, items, minItems/maxItems and allOf with if/then. Every problem is reported
+// against its field.
+//
+// This file is also sent to the browser (see /assets/js/validation.js in server.js) so api-client.js
+// can check a request before sending it - keep it free of require() calls.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Form posts send empty inputs as '' - they count as not filled in and are passed on unchanged
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+function fieldPath(parent, key) {
+    if (parent === null) return key;
+    return typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`;
+}
+
+function labelFor(schema, field) {
+    return schema.title || field || 'Value';
+}
+
+function checkString(schema, value, label) {
+    if (typeof value !== 'string') return { error: `${label} must be text` };
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return { error: `${label} must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return { error: `${label} is too long (maximum ${schema.maxLength} characters)` };
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+        return { error: 'Please enter a valid email address' };
+    }
+    if (schema.format === 'date' && !isValidDate(value)) {
+        return { error: `${label} must be a date in the format YYYY-MM-DD` };
+    }
+    if (schema.format === 'uuid' && !UUID_PATTERN.test(value)) {
+        return { error: `${label} is not valid` };
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return { error: schema.patternMessage || `${label} is not in the expected format` };
+    }
+    return { value };
+}
+
+// Numbers typed into a form or sent in a query string arrive as strings, so "12" is accepted as 12
+function checkNumber(schema, value, label) {
+    const number = typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? Number(value) : value;
+    const kind = schema.type === 'integer' ? 'a whole number' : 'a number';
+
+    if (typeof number !== 'number' || !isFinite(number)) return { error: `${label} must be ${kind}` };
+    if (schema.type === 'integer' && !Number.isInteger(number)) return { error: `${label} must be ${kind}` };
+    if (schema.minimum !== undefined && number < schema.minimum) {
+        return { error: `${label} must be at least ${schema.minimum}` };
+    }
+    if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) {
+        return { error: `${label} must be more than ${schema.exclusiveMinimum}` };
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+        return { error: `${label} must be no more than ${schema.maximum}` };
+    }
+    return { value: number };
+}
+
+// Multipart forms send checkboxes as "true" / "false"
+function checkBoolean(value, label) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: `${label} must be true or false` };
+}
+
+function checkValue(schema, value, path, errors) {
+    const label = labelFor(schema, path);
+    let result;
+
+    switch (schema.type) {
+        case 'string':
+            result = checkString(schema, value, label);
+            break;
+        case 'integer':
+        case 'number':
+            result = checkNumber(schema, value, label);
+            break;
+        case 'boolean':
+            result = checkBoolean(value, label);
+            break;
+        case 'array':
+            return checkArray(schema, value, path, errors);
+        case 'object':
+            return checkObject(schema, value, path, errors);
+        default:
+            result = { value };
+    }
+
+    if (!result.error && schema.const !== undefined && result.value !== schema.const) {
+        result = { error: `${label} must be ${schema.const}` };
+    }
+    if (!result.error && schema.enum && !schema.enum.includes(result.value)) {
+        result = { error: `${label} must be one of: ${schema.enum.join(', ')}` };
+    }
+
+    if (result.error) {
+        errors.push({ field: path, message: result.error });
+        return undefined;
+    }
+    return result.value;
+}
+
+function checkArray(schema, value, path, errors) {
+    const label = labelFor(schema, path);
+
+    // Multipart forms and query strings send a field given only once as a plain value
+    if (typeof value === 'string') value = [value];
+
+    if (!Array.isArray(value)) {
+        errors.push({ field: path, message: `${label} must be a list` });
+        return undefined;
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field: path, message: `${label} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        return undefined;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field: path, message: `${label} can have at most ${schema.maxItems} items` });
+        return undefined;
+    }
+
+    return value.map((item, index) => (schema.items ? checkValue(schema.items, item, fieldPath(path, index), errors) : item));
+}
+
+// Subschema conditions ("if") are tested quietly - only a matching "then" reports errors
+function matches(schema, value) {
+    const errors = [];
+    checkValue({ type: 'object', ...schema }, value, null, errors);
+    return errors.length === 0;
+}
+
+function checkObject(schema, value, path, errors) {
+    const label = labelFor(schema, path);
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: path, message: `${label} must be an object` });
+        return undefined;
+    }
+
+    const properties = schema.properties || {};
+    const required = [...(schema.required || [])];
+
+    for (const condition of schema.allOf || []) {
+        if (condition.if && condition.then && matches(condition.if, value)) {
+            required.push(...(condition.then.required || []));
+        }
+    }
+
+    const values = {};
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+        const field = fieldPath(path, key);
+
+        if (isEmpty(value[key])) {
+            // A field that can't be blank can still be left out of a partial update
+            if (required.includes(key) || (value[key] === '' && propertySchema.minLength > 0)) {
+                errors.push({ field, message: `${labelFor(propertySchema, field)} is required` });
+            } else if (value[key] !== undefined) {
+                values[key] = value[key];
+            }
+            continue;
+        }
+
+        const checked = checkValue(propertySchema, value[key], field, errors);
+        if (checked !== undefined) values[key] = checked;
+    }
+
+    for (const key of Object.keys(value)) {
+        if (Object.prototype.hasOwnProperty.call(properties, key) || key === '__proto__') continue;
+
+        if (schema.additionalProperties === false) {
+            errors.push({ field: fieldPath(path, key), message: `${key} is not a recognised field` });
+        } else {
+            values[key] = value[key];
+        }
+    }
+
+    return values;
+}
+
+// Check data against a schema. Returns { values } with numbers and booleans converted,
+// or { errors: [{ field, message }] } listing every problem found.
+function validate(schema, data) {
+    const errors = [];
+    const values = checkValue(schema, data === undefined ? {} : data, null, errors);
+    return errors.length > 0 ? { errors } : { values };
+}
+
+// Express middleware checking a route's params, query and body against its schemas, e.g.
+// validateRequest(SCHEMAS.updateCategory). The checked values replace the originals.
+function validateRequest(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+
+            const result = validate(schemas[part], req[part] || {});
+            if (result.errors) {
+                errors.push(...result.errors);
+            } else {
+                req[part] = result.values;
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors[0].message, field: errors[0].field, errors });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateRequest
+};
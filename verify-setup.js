@@ -51,9 +51,9 @@ async function verifySetup() {
         console.log(`📅 Bookings: ${bookings.rows[0].count} found`);
 
         console.log('\n🎉 Database setup verification complete!');
-        console.log('\n🔐 Admin Login Credentials:');
-        console.log('   Email: info@privatechefstefan.co.za');
-        console.log('   Password: @dmin@123');
+        console.log('\n🔐 Admin Login:');
+        console.log(`   Email: ${process.env.ADMIN_EMAIL || 'info@privatechefstefan.co.za'}`);
+        console.log('   Password: the ADMIN_PASSWORD used with npm run create-admin');
         console.log('\n✨ Your app should now work correctly!');
 
     } catch (err) {